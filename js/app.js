@@ -11,8 +11,12 @@ class ARApplication {
         this.xrSession = null;
         this.webGLContext = null;
         this.isLoading = true;
+        this.isArSupported = false;
+        this.mockXR = null;
         this.trackingInterval = null;
         this.isTrackingActive = false;
+        // Saved layout offered for restore, copied when the offer is made
+        this.offeredLayout = null;
         
         // Cache DOM elements
         this.elements = {
@@ -25,7 +29,25 @@ class ARApplication {
             modelBtn: document.getElementById('next-model-btn'),
             sizeUpBtn: document.getElementById('scale-up-btn'),
             sizeDownBtn: document.getElementById('scale-down-btn'),
+            groupBtn: document.getElementById('group-btn'),
+            trueScaleBtn: document.getElementById('true-scale-btn'),
+            snapBtn: document.getElementById('snap-btn'),
+            shadowsBtn: document.getElementById('shadows-btn'),
+            occlusionBtn: document.getElementById('occlusion-btn'),
+            measureBtn: document.getElementById('measure-btn'),
+            measureClearBtn: document.getElementById('measure-clear-btn'),
+            measureExportBtn: document.getElementById('measure-export-btn'),
+            recordBtn: document.getElementById('record-btn'),
+            replayBtn: document.getElementById('replay-btn'),
+            replayFile: document.getElementById('replay-file'),
+            replayPlayBtn: document.getElementById('replay-play-btn'),
+            replayScrubber: document.getElementById('replay-scrubber'),
+            replayCloseBtn: document.getElementById('replay-close-btn'),
+            restoreBtn: document.getElementById('restore-btn'),
+            undoBtn: document.getElementById('undo-btn'),
+            redoBtn: document.getElementById('redo-btn'),
             arMessage: document.getElementById('ar-message'),
+            arUnavailableBadge: document.getElementById('ar-unavailable-badge'),
             controlPanel: document.getElementById('control-panel'),
             sizeControls: document.getElementById('size-controls'),
             arOverlay: document.getElementById('ar-overlay')
@@ -37,6 +59,8 @@ class ARApplication {
      */
     async init() {
         try {
+            // Simulated XR device for automated tests (?mockxr or window.MOCK_XR_CONFIG)
+            this.mockXR = window.MockXRRuntime?.installFromPage() || null;
             await this.checkWebXRSupport();
             await this.initializeManagers();
             this.setupEventListeners();
@@ -50,19 +74,22 @@ class ARApplication {
     }
 
     /**
-     * Check WebXR support
+     * Check WebXR support; without AR the experience opens in the 3D viewer
      */
     async checkWebXRSupport() {
-        if (!navigator.xr) {
-            throw new Error('WebXR not supported in this browser');
+        try {
+            this.isArSupported = !!navigator.xr && await navigator.xr.isSessionSupported('immersive-ar');
+        } catch (error) {
+            console.warn('WebXR AR support check failed:', error);
+            this.isArSupported = false;
         }
         
-        const isArSupported = await navigator.xr.isSessionSupported('immersive-ar');
-        if (!isArSupported) {
-            throw new Error('WebXR AR not supported on this device');
+        if (this.isArSupported) {
+            this.elements.arMessage.textContent = 'AR is supported! Click Enter AR to begin.';
+        } else {
+            this.elements.arMessage.textContent = 'AR is not available on this device. Browse the products in 3D instead.';
+            this.elements.startButton.textContent = 'Open 3D Viewer';
         }
-        
-        this.elements.arMessage.textContent = 'AR is supported! Click Enter AR to begin.';
     }
 
     /**
@@ -80,7 +107,6 @@ class ARApplication {
 
         // Initialize Performance Tracker
         this.performanceTracker = new PerformanceTracker({
-            reportURL: 'https://script.google.com/macros/s/AKfycbzJujiVxqZtuuk7UrJABKsQLLvAiZn5yCgQiHqMAE_GGo8DirByTRbiu8_3phlSf2I/exec',
             deviceInfo: {
                 userAgent: navigator.userAgent,
                 screenWidth: window.screen.width,
@@ -144,6 +170,11 @@ class ARApplication {
      * Start AR experience
      */
     startExperience() {
+        if (!this.isArSupported) {
+            this.startViewerExperience();
+            return;
+        }
+
         document.body.classList.add('ar-mode');
         document.body.classList.remove('normal-mode');
         
@@ -155,20 +186,93 @@ class ARApplication {
         this.trackingInterval = setInterval(() => this.updateTrackingQuality(), 1000);
         
         this.performanceTracker.markObjectLoadStart('ar-session');
-        this.arManager.startARSession();
+        this.arManager.startARSession().then(() => this.offerSceneRestore());
         
         this.elements.exitButton.style.display = 'block';
         this.elements.startButton.style.display = 'none';
 
-        if (this.elements.loadingScreen) {
-            this.elements.loadingScreen.style.opacity = '0';
-            setTimeout(() => {
-                this.elements.loadingScreen.style.display = 'none';
-                this.isLoading = false;
-                
-                this.performanceTracker.markObjectAppeared('ar-session');
-                this.uiManager.showNotification('Move your device to detect surfaces, tap to place objects', 5000);
-            }, 500);
+        this.hideLoadingScreen(() => {
+            this.performanceTracker.markObjectAppeared('ar-session');
+            this.uiManager.showNotification('Move your device to detect surfaces, tap to place objects', 5000);
+        });
+    }
+
+    /**
+     * Start the inline 3D viewer on devices without AR
+     */
+    startViewerExperience() {
+        document.body.classList.add('viewer-mode');
+        document.body.classList.remove('normal-mode');
+
+        this.isTrackingActive = true;
+        this.performanceTracker.start();
+
+        this.arManager.startViewerMode();
+        this.offerSceneRestore();
+
+        this.elements.startButton.style.display = 'none';
+        if (this.elements.arUnavailableBadge) {
+            this.elements.arUnavailableBadge.hidden = false;
+        }
+
+        this.hideLoadingScreen();
+    }
+
+    /**
+     * Fade out the loading screen
+     * @param {Function} onHidden - Called once the screen is gone
+     */
+    hideLoadingScreen(onHidden) {
+        if (!this.elements.loadingScreen) return;
+
+        this.elements.loadingScreen.style.opacity = '0';
+        setTimeout(() => {
+            this.elements.loadingScreen.style.display = 'none';
+            this.isLoading = false;
+            onHidden?.();
+        }, 500);
+    }
+
+    /**
+     * Offer to restore the autosaved layout once the AR session or viewer is running;
+     * nothing is restored until the user accepts
+     */
+    offerSceneRestore() {
+        const { isInAR, isViewerMode } = this.arManager.state;
+        if (!(isInAR || isViewerMode)) return;
+
+        // Autosave keeps running, so the first edit replaces the stored layout; offer a copy
+        this.offeredLayout = this.arManager.getAutosave();
+        if (!this.offeredLayout) return;
+
+        if (this.elements.restoreBtn) {
+            this.elements.restoreBtn.hidden = false;
+        }
+        this.uiManager.showNotification('Saved layout found. Tap 📂 to restore it', 4000);
+    }
+
+    /**
+     * Restore the autosaved layout after the user accepted the offer
+     */
+    restoreSavedLayout() {
+        const layout = this.offeredLayout;
+        this.hideSceneRestore();
+        if (!layout) return;
+
+        this.arManager.importScene(layout).then(objects => {
+            if (objects.length > 0) {
+                console.log(`Restored ${objects.length} objects from saved layout`);
+            }
+        });
+    }
+
+    /**
+     * Withdraw the restore offer
+     */
+    hideSceneRestore() {
+        this.offeredLayout = null;
+        if (this.elements.restoreBtn) {
+            this.elements.restoreBtn.hidden = true;
         }
     }
 
@@ -194,6 +298,7 @@ class ARApplication {
         
         this.performanceTracker.stop();
         this.performanceTracker.reportToServer();
+        this.performanceTracker.flushReports();
         
         session.end().then(() => {
             console.log('AR session ended successfully');
@@ -217,6 +322,7 @@ class ARApplication {
         }
         
         this.xrSession = null;
+        this.hideSceneRestore();
         document.body.classList.remove('ar-mode');
         document.body.classList.add('normal-mode');
         
@@ -289,16 +395,14 @@ class ARApplication {
         }
 
         const fps = this.performanceTracker.metrics.fps;
-        const hitTestResults = this.arManager.state?.xrHitTestResults || [];
-        const surfacesCount = hitTestResults.length;
-        
-        this.performanceTracker.setSurfacesDetected(surfacesCount);
+        // Plane counts are reported by ARManager; here we only need to know a surface is under the reticle
+        const surfaceFound = !!this.arManager.state?.reticle?.visible;
         
         let quality, color;
-        if (fps > 45 && surfacesCount > 0) {
+        if (fps > 45 && surfaceFound) {
             quality = 'Excellent';
             color = '#4CAF50';
-        } else if (fps > 30 && surfacesCount > 0) {
+        } else if (fps > 30 && surfaceFound) {
             quality = 'Good';
             color = '#8BC34A';
         } else if (fps > 20) {
@@ -313,7 +417,7 @@ class ARApplication {
             this.performanceTracker.elements.tracking.style.color = color;
         }
         
-        this.performanceTracker.setTrackingQuality(quality, surfacesCount > 0 ? 1.0 : 0.5);
+        this.performanceTracker.setTrackingQuality(quality, surfaceFound ? 1.0 : 0.5);
     }
 
     /**
@@ -344,6 +448,62 @@ class ARApplication {
         }
     }
 
+    /**
+     * Toggle group selection and reflect it on the control button
+     */
+    toggleGroupSelect() {
+        this.arManager.toggleGroupSelect();
+        this.elements.groupBtn?.classList.toggle('active', this.arManager.state.groupSelectMode);
+    }
+
+    /**
+     * Toggle true-to-scale lock and reflect it on the control button
+     */
+    toggleTrueScale() {
+        this.arManager.toggleTrueScale();
+        this.elements.trueScaleBtn?.classList.toggle('active', this.arManager.state.trueScaleLock);
+    }
+
+    /**
+     * Toggle layout snapping and reflect it on the control button
+     */
+    toggleSnapping() {
+        this.arManager.toggleSnapping();
+        this.elements.snapBtn?.classList.toggle('active', this.arManager.isSnappingEnabled());
+    }
+
+    /**
+     * Toggle contact shadows and reflect it on the control button
+     */
+    toggleContactShadows() {
+        this.arManager.toggleContactShadows();
+        this.elements.shadowsBtn?.classList.toggle('active', this.arManager.config.contactShadows);
+    }
+
+    /**
+     * Toggle measuring tape mode and reflect it on the control button
+     */
+    toggleMeasureMode() {
+        this.arManager.toggleMeasureMode();
+        this.elements.measureBtn?.classList.toggle('active', this.arManager.state.measureMode);
+    }
+
+    /**
+     * Load a recorded session chosen by the user and replay it
+     */
+    async replayRecordingFile(file) {
+        if (!file) return;
+
+        try {
+            this.arManager.startReplay(await file.text());
+        } catch (error) {
+            this.uiManager.showNotification(`Cannot read recording: ${error.message}`, 3000);
+        } finally {
+            // Allow choosing the same file again
+            this.elements.replayFile.value = '';
+        }
+    }
+
     /**
      * Setup all event listeners
      */
@@ -357,6 +517,23 @@ class ARApplication {
         this.elements.modelBtn?.addEventListener('click', () => this.changeModel());
         this.elements.sizeUpBtn?.addEventListener('click', () => this.arManager.increaseScale());
         this.elements.sizeDownBtn?.addEventListener('click', () => this.arManager.decreaseScale());
+        this.elements.groupBtn?.addEventListener('click', () => this.toggleGroupSelect());
+        this.elements.trueScaleBtn?.addEventListener('click', () => this.toggleTrueScale());
+        this.elements.snapBtn?.addEventListener('click', () => this.toggleSnapping());
+        this.elements.shadowsBtn?.addEventListener('click', () => this.toggleContactShadows());
+        this.elements.occlusionBtn?.addEventListener('click', () => this.arManager.setOcclusionQuality());
+        this.elements.measureBtn?.addEventListener('click', () => this.toggleMeasureMode());
+        this.elements.measureClearBtn?.addEventListener('click', () => this.arManager.clearMeasurements());
+        this.elements.measureExportBtn?.addEventListener('click', () => this.arManager.downloadMeasurements());
+        this.elements.recordBtn?.addEventListener('click', () => this.arManager.toggleRecording());
+        this.elements.replayBtn?.addEventListener('click', () => this.elements.replayFile?.click());
+        this.elements.replayFile?.addEventListener('change', (event) => this.replayRecordingFile(event.target.files[0]));
+        this.elements.replayPlayBtn?.addEventListener('click', () => this.arManager.toggleReplayPlayback());
+        this.elements.replayScrubber?.addEventListener('input', (event) => this.arManager.seekReplay(event.target.value / 1000));
+        this.elements.replayCloseBtn?.addEventListener('click', () => this.arManager.stopReplay());
+        this.elements.undoBtn?.addEventListener('click', () => this.arManager.undo());
+        this.elements.redoBtn?.addEventListener('click', () => this.arManager.redo());
+        this.elements.restoreBtn?.addEventListener('click', () => this.restoreSavedLayout());
 
         // Keyboard controls
         document.addEventListener('keydown', (event) => this.handleKeyDown(event));
@@ -400,6 +577,32 @@ class ARApplication {
     handleKeyDown(event) {
         if (this.isLoading) return;
 
+        // Focused form controls (e.g. the replay scrubber) keep their own keys
+        if (event.target.closest?.('input, select, textarea, button')) return;
+
+        // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl/Cmd+Y redo
+        const key = event.key.toLowerCase();
+        if ((event.ctrlKey || event.metaKey) && (key === 'z' || key === 'y')) {
+            event.preventDefault();
+            if (key === 'y' || event.shiftKey) {
+                this.arManager.redo();
+            } else {
+                this.arManager.undo();
+            }
+            return;
+        }
+
+        // Leave other modified shortcuts (copy, cut, ...) to the browser
+        if (event.ctrlKey || event.metaKey) return;
+
+        // Shift+arrows nudge the selection along the floor
+        const nudge = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[event.key];
+        if (event.shiftKey && nudge) {
+            event.preventDefault();
+            this.arManager.nudgeSelection(...nudge);
+            return;
+        }
+
         const keyActions = {
             ' ': () => this.placeObject(),
             'Delete': () => this.arManager.removeObject(),
@@ -410,6 +613,28 @@ class ARApplication {
             'R': () => this.arManager.rotateObject(45),
             'm': () => this.changeModel(),
             'M': () => this.changeModel(),
+            'g': () => this.toggleGroupSelect(),
+            'G': () => this.toggleGroupSelect(),
+            't': () => this.toggleTrueScale(),
+            'T': () => this.toggleTrueScale(),
+            'u': () => this.arManager.setDimensionUnits(),
+            'U': () => this.arManager.setDimensionUnits(),
+            'k': () => this.toggleSnapping(),
+            'K': () => this.toggleSnapping(),
+            'h': () => this.toggleContactShadows(),
+            'H': () => this.toggleContactShadows(),
+            'o': () => this.arManager.setOcclusionQuality(),
+            'O': () => this.arManager.setOcclusionQuality(),
+            'l': () => this.toggleMeasureMode(),
+            'L': () => this.toggleMeasureMode(),
+            'c': () => this.arManager.closeMeasurement(),
+            'C': () => this.arManager.closeMeasurement(),
+            'x': () => this.arManager.clearMeasurements(),
+            'X': () => this.arManager.clearMeasurements(),
+            'e': () => this.arManager.toggleRecording(),
+            'E': () => this.arManager.toggleRecording(),
+            'v': () => this.arManager.togglePlaneVisualization(),
+            'V': () => this.arManager.togglePlaneVisualization(),
             'Escape': () => this.exitARMode(),
             'p': () => {
                 if (this.isTrackingActive) {
@@ -441,5 +666,6 @@ class ARApplication {
 document.addEventListener('DOMContentLoaded', () => {
     console.log('Initializing World-Locked WebXR Experience...');
     const app = new ARApplication();
-    app.init();
+    // ?mockxr&smoke runs the end-to-end smoke test once the app is ready
+    app.init().then(() => window.MockXRSmokeTest?.runFromPage(app));
 });
\ No newline at end of file
@@ -7,21 +7,41 @@ class ARManager {
     constructor(options = {}) {
         // Default configuration
         this.config = {
-            models: [
-                { name: 'Sofa', type: 'gltf', path: 'models/sofa.glb' },
-                { name: 'Sofa Merah', type: 'gltf', path: 'models/sofa merah.glb' },
-                { name: 'Kursi Biru', type: 'gltf', path: 'models/kursi biru.glb' }
-            ],
+            catalogURL: 'models/catalog.json',
+            models: null,
             currentModelIndex: 0,
             defaultScale: 1.0,
             minScale: 0.1,
             maxScale: 5.0,
             scaleStep: 0.2,
+            nudgeDistance: 0.05, // Meters per keyboard nudge
+            useAnchors: true,
+            planeDetection: true,
+            visualizePlanes: false,
+            lightEstimation: true,
+            contactShadows: true,
+            shadowQuality: 'auto', // 'auto' | 'shadow' | 'blob'
+            depthSensing: true,
+            occlusionQuality: 'quality', // 'quality' | 'performance' | 'off'
+            persistAnchors: true,
+            autosaveScene: true,
+            autosaveDelay: 1000,
+            historyDepth: 50,
+            dimensionUnits: 'metric',
+            keepHistoryOnSessionEnd: false,
+            recordSessions: false, // Record a replayable trace of every AR session
+            layout: {
+                preventOverlap: true,
+                snapRotation: false,
+                rotationStep: 15,
+                snapToEdges: false,
+                edgeSnapDistance: 0.05
+            },
             performanceMonitoring: true,
             performanceOptions: {
                 updateInterval: 1000,
                 reportInterval: 30000,
-                reportURL: 'https://script.google.com/macros/s/AKfycbzJujiVxqZtuuk7UrJABKsQLLvAiZn5yCgQiHqMAE_GGo8DirByTRbiu8_3phlSf2I/exec',
+                transports: null, // Report sinks; null uses ReportTransport.getPageConfig()
                 maxLatencySamples: 30,
                 captureSpectorFrames: 10
             },
@@ -34,6 +54,11 @@ class ARManager {
 
         // Initialize state
         this.state = this._initializeState();
+        this.state.history = new CommandHistory({
+            maxDepth: this.config.historyDepth,
+            onChange: (status) => this._updateHistoryButtons(status)
+        });
+        this.state.layoutConstraints = new LayoutConstraints(this.config.layout);
         
         // Bind methods to maintain context
         this._bindMethods();
@@ -51,6 +76,7 @@ class ARManager {
             isInitialized: false,
             isArSupported: false,
             isInAR: false,
+            isViewerMode: false,
             xrSession: null,
             xrReferenceSpace: null,
             xrHitTestSource: null,
@@ -63,25 +89,83 @@ class ARManager {
             // AR objects and interaction
             placedObjects: [],
             activeObject: null,
+            selectedObjects: [],
+            selectionHelpers: new Map(),
+            groupSelectMode: false,
+            gestureController: null,
+            dragOffset: null,
+            gestureSnapshot: null,
+            twistAccumulator: 0,
+            
+            // Layout constraints
+            layoutConstraints: null,
+            layoutWarnings: new Map(),
+            lastLayoutWarningTime: 0,
+            
+            // Undo/redo
+            history: null,
+            
+            // Measuring tape
+            measureMode: false,
+            measurementTool: null,
             reticle: null,
             reticleVisible: false,
+            reticleSurface: null,
             controller: null,
             raycaster: new THREE.Raycaster(),
             
             // Model and scaling
             currentScale: this.config.defaultScale,
+            trueScaleLock: false,
             modelInfo: {
-                name: this.config.models[this.config.currentModelIndex].name,
+                name: 'None',
                 scale: this.config.defaultScale
             },
+            modelCatalog: null,
             
             // Loaders and utilities
             gltfLoader: null,
+            modelCache: null,
             clock: new THREE.Clock(),
             
             // Hit testing
             xrHitTestResults: [],
             
+            // Lighting
+            ambientLight: null,
+            directionalLight: null,
+            lightEstimator: null,
+            lightEstimationSupported: false,
+            lightingOverride: null,
+            contactShadows: null,
+            
+            // Depth occlusion
+            depthOcclusion: null,
+            depthSensingSupported: false,
+            
+            // Non-AR 3D viewer
+            viewer: null,
+            
+            // Session record and replay
+            sessionRecorder: new SessionRecorder(),
+            lastRecording: null,
+            replayer: null,
+            
+            // Plane detection
+            planeTracker: null,
+            planeDetectionSupported: false,
+            
+            // Anchors
+            anchorsSupported: false,
+            objectAnchors: new Map(),
+            pendingAnchorRequests: [],
+            
+            // Scene persistence
+            sceneSerializer: new SceneSerializer(),
+            pendingSceneImport: null,
+            autosaveTimeout: null,
+            sceneDirty: false,
+            
             // Performance tracking
             performanceTracker: null,
             frameCounter: 0,
@@ -104,6 +188,7 @@ class ARManager {
         this._render = this._render.bind(this);
         this._renderNonAR = this._renderNonAR.bind(this);
         this._handleWindowResize = this._handleWindowResize.bind(this);
+        this._saveScene = this._saveScene.bind(this);
     }
 
     /**
@@ -139,13 +224,25 @@ class ARManager {
             
             // Create AR elements
             this._createReticle();
+            this._createMeasurementTool();
+            this._createPlaneTracker();
+            this._createLightEstimator();
+            this._createContactShadows();
+            this._createDepthOcclusion();
+            this._createViewer();
             
             // Initialize loaders
             this._initializeLoaders();
             
+            // Load and validate model catalog
+            await this._loadModelCatalog();
+            
             // Setup UI
             this._setupUI();
             
+            // Flush pending autosave when the page goes away
+            window.addEventListener('pagehide', this._saveScene);
+            
             // Setup performance tracking
             if (this.config.performanceMonitoring) {
                 await this._setupPerformanceTracking();
@@ -174,16 +271,24 @@ class ARManager {
      * Check WebXR support
      */
     async _checkWebXRSupport() {
+        this.state.isArSupported = false;
+
+        // Without AR the scene is still shown in the 3D viewer
         if (!navigator.xr) {
-            throw new Error('WebXR not supported in this browser');
+            console.warn('WebXR not supported in this browser, 3D viewer only');
+            return false;
         }
 
-        const isSupported = await navigator.xr.isSessionSupported('immersive-ar');
-        this.state.isArSupported = isSupported;
-        
-        if (!isSupported) {
-            throw new Error('WebXR AR not supported on this device');
+        try {
+            this.state.isArSupported = await navigator.xr.isSessionSupported('immersive-ar');
+        } catch (error) {
+            console.warn('WebXR AR support check failed:', error);
+        }
+
+        if (!this.state.isArSupported) {
+            console.warn('WebXR AR not supported on this device, 3D viewer only');
         }
+        return this.state.isArSupported;
     }
 
     /**
@@ -236,6 +341,7 @@ class ARManager {
         // Ambient light
         const ambientLight = new THREE.AmbientLight(ambient.color, ambient.intensity);
         this.state.scene.add(ambientLight);
+        this.state.ambientLight = ambientLight;
         
         // Directional light with shadows
         const directionalLight = new THREE.DirectionalLight(directional.color, directional.intensity);
@@ -251,6 +357,7 @@ class ARManager {
         directionalLight.shadow.camera.bottom = -10;
         
         this.state.scene.add(directionalLight);
+        this.state.directionalLight = directionalLight;
     }
 
     /**
@@ -281,6 +388,73 @@ class ARManager {
         this.state.scene.add(this.state.reticle);
     }
 
+    /**
+     * Create measuring tape overlay
+     */
+    _createMeasurementTool() {
+        this.state.measurementTool = new MeasurementTool({
+            scene: this.state.scene,
+            formatLength: (meters) => this._formatLength(meters)
+        });
+    }
+
+    /**
+     * Create registry for detected planes
+     */
+    _createPlaneTracker() {
+        this.state.planeTracker = new PlaneTracker({
+            scene: this.state.scene,
+            visualize: this.config.visualizePlanes
+        });
+    }
+
+    /**
+     * Create estimator that drives lights from the real environment
+     */
+    _createLightEstimator() {
+        this.state.lightEstimator = new LightEstimator({
+            renderer: this.state.renderer,
+            scene: this.state.scene,
+            ambientLight: this.state.ambientLight,
+            directionalLight: this.state.directionalLight
+        });
+    }
+
+    /**
+     * Create contact shadows that ground placed objects
+     */
+    _createContactShadows() {
+        this.state.contactShadows = new ContactShadows({
+            scene: this.state.scene,
+            renderer: this.state.renderer,
+            enabled: this.config.contactShadows,
+            mode: this.config.shadowQuality
+        });
+        console.log(`Contact shadows: ${this.state.contactShadows.mode}`);
+    }
+
+    /**
+     * Create occlusion of virtual objects by real geometry
+     */
+    _createDepthOcclusion() {
+        this.state.depthOcclusion = new DepthOcclusion({
+            renderer: this.state.renderer,
+            quality: this.config.occlusionQuality
+        });
+    }
+
+    /**
+     * Create orbit controls and virtual floor for the non-AR viewer
+     */
+    _createViewer() {
+        this.state.viewer = new ViewerControls({
+            camera: this.state.camera,
+            domElement: this.state.renderer.domElement,
+            scene: this.state.scene,
+            onTap: raycaster => this._onViewerTap(raycaster)
+        });
+    }
+
     /**
      * Initialize model loaders
      */
@@ -293,6 +467,48 @@ class ARManager {
             dracoLoader.setDecoderPath('/draco/');
             this.state.gltfLoader.setDRACOLoader(dracoLoader);
         }
+
+        this.state.modelCache = new ModelCache({
+            loader: this.state.gltfLoader,
+            onProgress: (modelDef, progress) => {
+                const percent = Math.round((progress.loaded / progress.total) * 100);
+                if (percent % 20 === 0) {
+                    console.log(`Loading ${modelDef.name}: ${percent}%`);
+                }
+            }
+        });
+    }
+
+    /**
+     * Load model catalog from manifest and validate its assets
+     */
+    async _loadModelCatalog() {
+        const catalog = new ModelCatalog({ manifestURL: this.config.catalogURL });
+        this.state.modelCatalog = catalog;
+
+        try {
+            if (Array.isArray(this.config.models)) {
+                catalog.setEntries(this.config.models);
+            } else {
+                await catalog.load();
+            }
+            await catalog.validate();
+        } catch (error) {
+            this._trackError(error, 'model-catalog');
+        }
+
+        this.config.models = catalog.entries;
+
+        // Start on the first model that can actually be placed
+        const firstAvailable = this.config.models.findIndex(model => model.available);
+        this.config.currentModelIndex = Math.max(0, firstAvailable);
+
+        const unavailableCount = this.config.models.length - catalog.getAvailable().length;
+        if (unavailableCount > 0) {
+            this._showNotification(`${unavailableCount} model(s) unavailable`, 3000);
+        }
+
+        this.state.modelCache?.preload(this.config.models[this.config.currentModelIndex]);
     }
 
     /**
@@ -328,6 +544,13 @@ class ARManager {
                 return;
             }
 
+            // Share the host's tracker so XR frames feed the same metrics it reports
+            if (this.config.performanceTracker) {
+                this.state.performanceTracker = this.config.performanceTracker;
+                console.log('Performance tracking shared with host');
+                return;
+            }
+
             const deviceInfo = {
                 userAgent: navigator.userAgent,
                 screenWidth: window.screen.width,
@@ -366,17 +589,36 @@ class ARManager {
             return;
         }
 
+        // The replay scene and its hidden placed objects must not carry over into AR
+        this.stopReplay();
+
         const sessionStartTime = performance.now();
 
         try {
             this._trackEvent('ar-session-start');
 
+            const optionalFeatures = ['dom-overlay', 'camera-access', 'anchors'];
+            if (this.config.planeDetection) {
+                optionalFeatures.push('plane-detection');
+            }
+            if (this.config.lightEstimation) {
+                optionalFeatures.push('light-estimation');
+            }
+
             const sessionInit = {
                 requiredFeatures: ['local', 'hit-test'],
-                optionalFeatures: ['dom-overlay', 'camera-access'],
+                optionalFeatures,
                 environmentIntegration: true
             };
 
+            if (this.config.depthSensing) {
+                optionalFeatures.push('depth-sensing');
+                sessionInit.depthSensing = {
+                    usagePreference: ['cpu-optimized', 'gpu-optimized'],
+                    dataFormatPreference: ['luminance-alpha', 'float32']
+                };
+            }
+
             const session = await navigator.xr.requestSession('immersive-ar', sessionInit);
             this.state.xrSession = session;
 
@@ -393,6 +635,11 @@ class ARManager {
 
             // Enter AR mode
             this._enterARMode();
+            this.state.performanceTracker?.attachXRSession(session);
+
+            if (this.config.recordSessions) {
+                this.startRecording();
+            }
 
             const sessionTime = performance.now() - sessionStartTime;
             this._trackEvent('ar-session-ready', sessionTime);
@@ -416,6 +663,66 @@ class ARManager {
         this.state.xrHitTestSource = await session.requestHitTestSource({
             space: viewerReferenceSpace
         });
+
+        this.state.anchorsSupported = this.config.useAnchors &&
+            this._isFeatureEnabled(session, 'anchors', 'createAnchor');
+        console.log(`WebXR anchors ${this.state.anchorsSupported ? 'enabled' : 'unavailable, using fixed positions'}`);
+
+        this.state.planeDetectionSupported = this.config.planeDetection &&
+            this._isFeatureEnabled(session, 'plane-detection', 'detectedPlanes');
+        if (this.state.planeDetectionSupported) {
+            this.state.planeTracker.attach(this.state.xrReferenceSpace);
+        }
+        this.state.performanceTracker?.setPlaneStats(
+            this.state.planeDetectionSupported ? this.state.planeTracker.getStats() : null
+        );
+        console.log(`WebXR plane detection ${this.state.planeDetectionSupported ? 'enabled' : 'unavailable'}`);
+
+        if (this.config.lightEstimation && this._isFeatureEnabled(session, 'light-estimation', 'getLightEstimate')) {
+            this.state.lightEstimationSupported =
+                await this.state.lightEstimator.attach(session, this.state.xrReferenceSpace);
+            this.state.lightEstimator.setSuspended(!!this.state.lightingOverride);
+        }
+        console.log(`WebXR light estimation ${this.state.lightEstimationSupported ? 'enabled' : 'unavailable'}`);
+
+        // Without depth data virtual objects simply draw over the camera image
+        this.state.depthSensingSupported = this.config.depthSensing &&
+            this._isFeatureEnabled(session, 'depth-sensing', 'getDepthInformation') &&
+            this.state.depthOcclusion.attach(session);
+        console.log(`WebXR depth occlusion ${this.state.depthSensingSupported ?
+            `enabled (${this.state.depthOcclusion.getMode().toUpperCase()})` : 'unavailable'}`);
+
+        await this._setupGestures(session, viewerReferenceSpace);
+    }
+
+    /**
+     * Setup touch gestures for manipulating the selection
+     */
+    async _setupGestures(session, viewerReferenceSpace) {
+        this.state.gestureController = new GestureController({
+            canStartDrag: (rayTransform) => this._isRayOnSelection(rayTransform),
+            onDragStart: () => { this.state.dragOffset = null; },
+            onDrag: (hitPosition) => this._dragSelectionTo(hitPosition),
+            onPinch: (factor) => this._pinchSelection(factor),
+            onTwist: (radians) => this._twistSelection(radians),
+            onGestureEnd: (mode) => this._onGestureEnd(mode)
+        });
+
+        await this.state.gestureController.attach(session, this.state.xrReferenceSpace, viewerReferenceSpace);
+    }
+
+    /**
+     * Check whether an optional feature was granted for the session
+     * @param {XRSession} session - Active AR session
+     * @param {string} feature - Feature descriptor, e.g. 'anchors'
+     * @param {string} frameProperty - XRFrame member that signals support on older implementations
+     */
+    _isFeatureEnabled(session, feature, frameProperty) {
+        if (Array.isArray(session.enabledFeatures)) {
+            return session.enabledFeatures.includes(feature);
+        }
+        // Older implementations do not expose enabledFeatures
+        return typeof XRFrame !== 'undefined' && frameProperty in XRFrame.prototype;
     }
 
     /**
@@ -425,8 +732,18 @@ class ARManager {
         this.state.isInAR = true;
         this.state.renderer.setClearColor(0x000000, 0);
         this.state.renderer.setAnimationLoop(this._render);
+        this.state.viewer?.disable();
         
-        // Configure canvas for AR
+        this._fitCanvasToViewport();
+        document.body.style.backgroundColor = 'transparent';
+        this._updateARButton();
+        this._showUIControls();
+    }
+
+    /**
+     * Stretch the renderer canvas behind the UI
+     */
+    _fitCanvasToViewport() {
         const canvas = this.state.renderer.domElement;
         Object.assign(canvas.style, {
             position: 'absolute',
@@ -436,10 +753,6 @@ class ARManager {
             height: '100%',
             zIndex: '1'
         });
-
-        document.body.style.backgroundColor = 'transparent';
-        this._updateARButton();
-        this._showUIControls();
     }
 
     /**
@@ -480,15 +793,49 @@ class ARManager {
      * Handle session ended
      */
     _onSessionEnded() {
+        this._saveScene();
+        this.state.performanceTracker?.detachXRSession();
+        
+        // Keep the trace of a session that ended while recording
+        if (this.state.sessionRecorder.isRecording()) {
+            this.stopRecording();
+            this.downloadRecording();
+        }
+        
         this.state.xrSession = null;
         this.state.xrHitTestSource = null;
         this.state.isInAR = false;
         
+        // Anchors are only valid for the session that created them
+        this.state.objectAnchors.clear();
+        this.state.pendingAnchorRequests.splice(0).forEach(request => request.resolve(null));
+        this.state.anchorsSupported = false;
+        this.state.planeTracker?.detach();
+        this.state.planeDetectionSupported = false;
+        this.state.lightEstimator?.detach();
+        this.state.lightEstimationSupported = false;
+        this.state.depthOcclusion?.detach();
+        this.state.depthSensingSupported = false;
+        this._resetSceneLights();
+        this._cancelSceneImport();
+        this.state.gestureController?.detach();
+        this.state.gestureController = null;
+        
+        // Measurement points are expressed in this session's reference space
+        this.state.measurementTool?.clear();
+        this._updateMeasurementInfo();
+        
+        if (!this.config.keepHistoryOnSessionEnd) {
+            this.state.history.clear();
+        }
+        
         this._startNonARMode();
         this._showNotification('AR session ended', 2000);
         
-        if (this.state.performanceTracker) {
+        // A host that stopped the shared tracker has already sent the final report
+        if (this.state.performanceTracker?.isTracking) {
             this.state.performanceTracker.reportToServer();
+            this.state.performanceTracker.flushReports();
         }
     }
 
@@ -498,22 +845,103 @@ class ARManager {
     _startNonARMode() {
         this.state.isInAR = false;
         this.state.renderer.setClearColor(0x222222, 1);
+        if (this.state.isViewerMode) {
+            this.state.viewer.enable();
+        }
         this.state.renderer.setAnimationLoop(this._renderNonAR);
         this._updateARButton();
         this._showNotification('Preview mode active', 2000);
     }
 
+    /**
+     * Start the inline 3D viewer used when AR is unavailable
+     */
+    startViewerMode() {
+        if (this.state.isInAR || this.state.isViewerMode) return;
+
+        this.state.isViewerMode = true;
+        this.state.viewer.enable();
+        this._fitCanvasToViewport();
+        this._showUIControls();
+        this._updateModelInfo();
+        this._trackEvent('viewer-start');
+        this._showNotification('3D viewer: drag to orbit, scroll or pinch to zoom, tap the floor to place', 4000);
+    }
+
     /**
      * Handle select event (tap/click)
      */
     _onSelect() {
-        if (this.state.reticle?.visible) {
-            const position = new THREE.Vector3();
-            this.state.reticle.matrixWorld.decompose(position, new THREE.Quaternion(), new THREE.Vector3());
-            this.placeObject(position);
+        // Drags, pinches and twists end with a select event; they are not taps
+        if (this.state.gestureController?.isGesture()) return;
+
+        this._handleTap(this._getReticlePose(), () => this._pickPlacedObject());
+    }
+
+    /**
+     * Handle a tap in the 3D viewer; the virtual floor stands in for the reticle
+     * @param {THREE.Raycaster} raycaster - Ray from the camera through the tap
+     */
+    _onViewerTap(raycaster) {
+        // The replayed scene is read-only
+        if (this.state.replayer) return;
+
+        const floorPoint = this.state.viewer.getFloorPoint(raycaster);
+        const floorPose = floorPoint && {
+            position: floorPoint,
+            normal: new THREE.Vector3(0, 1, 0),
+            surface: 'floor'
+        };
+
+        this._handleTap(floorPose, () => this._intersectPlacedObjects(raycaster));
+    }
+
+    /**
+     * Measure, select, restore or place for a tap
+     * @param {Object|null} surfacePose - { position, normal } of the tapped surface
+     * @param {Function} pickObject - Returns the placed object under the tap, if any
+     */
+    _handleTap(surfacePose, pickObject) {
+        if (this.state.measureMode) {
+            if (surfacePose) {
+                this._addMeasurementPoint(surfacePose.position);
+            }
+            return;
+        }
+
+        // Tapping an existing object selects it instead of placing a new one
+        if (!this.state.pendingSceneImport) {
+            const tappedObject = pickObject();
+            if (tappedObject) {
+                this._onObjectTapped(tappedObject);
+                return;
+            }
+        }
+
+        if (surfacePose) {
+            if (this.state.pendingSceneImport) {
+                this._restoreSceneAt(surfacePose.position);
+                return;
+            }
+            
+            this.placeObject(surfacePose.position, { surfaceNormal: surfacePose.normal });
         }
     }
 
+    /**
+     * Current reticle position and surface
+     * @returns {Object|null} - { position, normal, surface }, or null when no surface is hit
+     */
+    _getReticlePose() {
+        if (!this.state.reticle?.visible || !this.state.reticleSurface) return null;
+
+        return {
+            position: new THREE.Vector3().setFromMatrixPosition(this.state.reticle.matrix),
+            normal: this.state.reticleSurface.normal.clone(),
+            surface: this.state.reticleSurface.surface
+        };
+    }
+
     /**
      * Update hit test results
      */
@@ -528,26 +956,107 @@ class ARManager {
             
             if (hitPose) {
                 this.state.reticle.visible = true;
-                this.state.reticle.matrix.fromArray(hitPose.transform.matrix);
+                this._orientReticle(hitPose.transform.matrix);
                 
-                this._updateTrackingQuality('Good', 1.0, hitTestResults.length);
+                this._updateTrackingQuality('Good', 1.0);
             }
         } else {
             this.state.reticle.visible = false;
-            this._updateTrackingQuality('Poor', 0.2, 0);
+            this._updateTrackingQuality('Poor', 0.2);
         }
     }
 
+    /**
+     * Lay the reticle on the hit surface and tint it by whether the
+     * current model may be placed there
+     * @param {Float32Array} hitMatrix - Hit pose matrix; its Y axis is the surface normal
+     */
+    _orientReticle(hitMatrix) {
+        const matrix = new THREE.Matrix4().fromArray(hitMatrix);
+        const position = new THREE.Vector3().setFromMatrixPosition(matrix);
+        const normal = new THREE.Vector3().setFromMatrixColumn(matrix, 1).normalize();
+        const surface = PlaneTracker.classifyNormal(normal.y);
+
+        this.state.reticleSurface = { normal, surface };
+        this.state.reticle.matrix.compose(
+            position,
+            new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), normal),
+            new THREE.Vector3(1, 1, 1)
+        );
+
+        const modelDef = this.config.models?.[this.config.currentModelIndex];
+        const allowed = this.state.measureMode || !modelDef || this._isPlacementAllowed(modelDef, surface);
+        this.state.reticle.material.color.setHex(allowed ? 0x44CC88 : 0xF44336);
+    }
+
     /**
      * Update tracking quality metrics
      */
-    _updateTrackingQuality(quality, confidence, surfaceCount) {
+    _updateTrackingQuality(quality, confidence) {
         if (this.state.performanceTracker) {
             this.state.performanceTracker.setTrackingQuality(quality, confidence);
-            this.state.performanceTracker.setSurfacesDetected(surfaceCount);
         }
     }
 
+    /**
+     * Sync detected planes and report plane statistics
+     */
+    _updatePlanes(frame) {
+        if (!this.state.planeDetectionSupported) return;
+
+        this.state.planeTracker.update(frame);
+
+        if (this.state.performanceTracker && this.state.frameCounter % 10 === 0) {
+            this.state.performanceTracker.setPlaneStats(this.state.planeTracker.getStats());
+        }
+    }
+
+    /**
+     * Refresh depth data and record the cost of the depth pass
+     */
+    _updateDepthOcclusion(frame) {
+        if (!this.state.depthSensingSupported) return;
+
+        const start = performance.now();
+        this.state.depthOcclusion.update(frame, this.state.xrReferenceSpace);
+
+        this.state.performanceTracker?.recordDepthPass(
+            performance.now() - start,
+            this.state.depthOcclusion.getMode()
+        );
+    }
+
+    /**
+     * Switch occlusion quality; cycles quality -> performance -> off
+     * @param {string} quality - 'quality', 'performance' or 'off'
+     */
+    setOcclusionQuality(quality = DepthOcclusion.nextQuality(this.config.occlusionQuality)) {
+        this.config.occlusionQuality = quality;
+        this.state.depthOcclusion?.setQuality(quality);
+        this._trackEvent('occlusion-quality', { quality });
+
+        if (this.state.isInAR && !this.state.depthSensingSupported) {
+            this._showNotification('Depth sensing is not supported on this device', 2000);
+            return;
+        }
+        this._showNotification(`Occlusion: ${quality}`, 1500);
+    }
+
+    /**
+     * Toggle translucent plane visualization
+     * @param {boolean} enabled - Desired state (toggles when omitted)
+     */
+    togglePlaneVisualization(enabled = !this.config.visualizePlanes) {
+        this.config.visualizePlanes = enabled;
+        this.state.planeTracker?.setVisible(enabled);
+
+        if (enabled && this.state.isInAR && !this.state.planeDetectionSupported) {
+            this._showNotification('Plane detection is not supported on this device', 2000);
+            return;
+        }
+        this._showNotification(enabled ? 'Showing detected planes' : 'Hiding detected planes', 1500);
+    }
+
     /**
      * AR render loop
      */
@@ -556,9 +1065,21 @@ class ARManager {
 
         this.state.renderStartTime = performance.now();
         this._onHitTest(frame);
+        this._updatePlanes(frame);
+        this.state.lightEstimator?.update(frame);
+        this._updateDepthOcclusion(frame);
+        this.state.gestureController?.update(frame);
+        this._processAnchorRequests(frame);
+        this._updateAnchoredObjects(frame);
+        this.state.measurementTool?.update();
         this._animateObjects();
+        this.state.contactShadows?.update();
+        this._updateSelectionHelpers();
+        this._recordFrame(timestamp, frame);
+        this.state.performanceTracker?.beginGPUFrame();
         this.state.renderer.render(this.state.scene, this.state.camera);
-        this._updatePerformanceMetrics();
+        this.state.performanceTracker?.endGPUFrame();
+        this._updatePerformanceMetrics(timestamp);
     }
 
     /**
@@ -566,8 +1087,15 @@ class ARManager {
      */
     _renderNonAR() {
         this.state.renderStartTime = performance.now();
+        this.state.viewer?.update();
+        this.state.replayer?.update();
+        this.state.measurementTool?.update();
         this._animateObjects();
+        this.state.contactShadows?.update();
+        this._updateSelectionHelpers();
+        this.state.performanceTracker?.beginGPUFrame();
         this.state.renderer.render(this.state.scene, this.state.camera);
+        this.state.performanceTracker?.endGPUFrame();
         this._updatePerformanceMetrics();
     }
 
@@ -591,14 +1119,19 @@ class ARManager {
     }
 
     /**
-     * Update performance metrics
+     * Update performance metrics. In AR every XR frame is timed; in preview
+     * the tracker times window animation frames itself.
+     * @param {number} timestamp - XR frame timestamp, when in AR
      */
-    _updatePerformanceMetrics() {
+    _updatePerformanceMetrics(timestamp) {
         const renderTime = performance.now() - this.state.renderStartTime;
         this.state.frameCounter++;
 
-        if (this.state.performanceTracker && this.state.frameCounter % 10 === 0) {
-            this.state.performanceTracker.markFrame();
+        if (this.state.performanceTracker) {
+            if (timestamp !== undefined) {
+                this.state.performanceTracker.markXRFrame(timestamp);
+            }
+            this.state.performanceTracker.recordRendererInfo(this.state.renderer.info, this.state.placedObjects.length);
             this.state.performanceTracker.metrics.renderTime = renderTime;
         }
     }
@@ -614,10 +1147,33 @@ class ARManager {
 
     /**
      * Place object in scene
+     * @param {THREE.Vector3} position - Placement position (defaults to reticle)
+     * @param {Object} options - Optional modelDef, quaternion, scale, userData, surfaceNormal,
+     *                           silent and recordHistory flags
+     * @returns {Promise<THREE.Object3D|null>} - Placed object
      */
-    async placeObject(position = null) {
-        const modelDef = this.config.models[this.config.currentModelIndex];
+    async placeObject(position = null, options = {}) {
+        const modelDef = options.modelDef || this.config.models[this.config.currentModelIndex];
+
+        if (!modelDef?.available) {
+            this._showNotification(modelDef ? `${modelDef.name} is unavailable` : 'No models available', 2000);
+            return null;
+        }
+
+        let surfaceNormal = options.surfaceNormal || null;
+        if (!position) {
+            surfaceNormal = surfaceNormal || this._getReticlePose()?.normal ||
+                (this._isViewerActive() ? new THREE.Vector3(0, 1, 0) : null);
+        }
+
+        const surface = surfaceNormal ? PlaneTracker.classifyNormal(surfaceNormal.y) : null;
+        if (surface && !this._isPlacementAllowed(modelDef, surface)) {
+            this._showNotification(`${modelDef.name} can only be placed on the ${modelDef.placement}`, 2000);
+            return null;
+        }
+
         const objectId = `${modelDef.name}-${Date.now()}`;
+        let anchorRequest = null;
 
         this._trackEvent('object-placement-start', objectId);
 
@@ -627,245 +1183,1769 @@ class ARManager {
                 position = this._getDefaultPosition();
             }
 
+            // Request anchor while the model loads
+            anchorRequest = this._requestAnchor(position);
+
             // Load and place model
             const model = await this._loadModel(modelDef, position, objectId);
             
             if (model) {
-                this._configureModel(model, modelDef, objectId);
+                this._configureModel(model, modelDef, objectId, options);
+                if (surface) {
+                    this._alignToSurface(model, surface, surfaceNormal, !!options.quaternion);
+                }
+                if (!options.silent && !this._resolvePlacementOverlap(model)) {
+                    this._removeObjects([model]);
+                    anchorRequest.then(anchor => anchor?.delete?.());
+                    return null;
+                }
+                this._addContactShadow(model);
+                this.state.depthOcclusion?.applyTo(model);
+                this._attachAnchor(model, await anchorRequest);
                 this._trackEvent('object-placement-complete', objectId);
+                this._scheduleAutosave();
+
+                if (options.recordHistory !== false) {
+                    this._recordPlacement('place', [model]);
+                }
             }
 
+            return model;
+
         } catch (error) {
+            anchorRequest?.then(anchor => anchor?.delete());
             this._trackError(error, `object-placement-${objectId}`);
+            return null;
         }
     }
 
     /**
-     * Get default object position
+     * Ground an object resting on the floor with a contact shadow
      */
-    _getDefaultPosition() {
-        if (this.state.isInAR && this.state.reticle?.visible) {
-            const position = new THREE.Vector3();
-            this.state.reticle.matrixWorld.decompose(position, new THREE.Quaternion(), new THREE.Vector3());
-            return position;
-        }
-        return new THREE.Vector3(0, 0, -2);
-    }
-
-    /**
-     * Load 3D model
-     */
-    _loadModel(modelDef, position, objectId) {
-        return new Promise((resolve, reject) => {
-            this.state.gltfLoader.load(
-                modelDef.path,
-                (gltf) => {
-                    const model = gltf.scene;
-                    model.position.copy(position);
-                    model.scale.setScalar(this.state.currentScale);
-                    
-                    this.state.scene.add(model);
-                    this.state.placedObjects.push(model);
-                    this.state.activeObject = model;
-                    
-                    // Setup animations
-                    if (gltf.animations?.length > 0) {
-                        this._setupModelAnimations(model, gltf.animations);
-                    }
-                    
-                    resolve(model);
-                },
-                (progress) => {
-                    const percent = Math.round((progress.loaded / progress.total) * 100);
-                    if (percent % 20 === 0) {
-                        console.log(`Loading ${modelDef.name}: ${percent}%`);
-                    }
-                },
-                (error) => {
-                    console.error('Model load error:', error);
-                    reject(error);
-                }
-            );
-        });
+    _addContactShadow(object) {
+        const surface = object.userData.surface;
+        if (!surface || surface === 'floor') {
+            this.state.contactShadows?.add(object);
+        }
     }
 
     /**
-     * Setup model animations
+     * Toggle contact shadows under placed objects
+     * @param {boolean} enabled - Desired state (toggles when omitted)
      */
-    _setupModelAnimations(model, animations) {
-        const mixer = new THREE.AnimationMixer(model);
-        
-        animations.forEach(clip => {
-            const action = mixer.clipAction(clip);
-            action.play();
-        });
-        
-        model.userData.mixer = mixer;
-        model.userData.animation = true;
+    toggleContactShadows(enabled = !this.config.contactShadows) {
+        this.config.contactShadows = enabled;
+        this.state.contactShadows?.setEnabled(enabled);
+
+        this._trackEvent('contact-shadows', { enabled });
+        this._showNotification(enabled ? 'Contact shadows on' : 'Contact shadows off', 1500);
     }
 
     /**
-     * Configure placed model
+     * Whether a model may be placed on a surface
+     * @param {Object} modelDef - Catalog entry
+     * @param {string} surface - 'floor', 'wall' or 'ceiling'
      */
-    _configureModel(model, modelDef, objectId) {
-        model.userData = {
-            ...model.userData,
-            type: modelDef.name,
-            scale: this.state.currentScale,
-            id: objectId
-        };
-
-        const loadTime = this._trackEvent('object-appeared', objectId);
-        const message = loadTime ? 
-            `Placed ${modelDef.name} (${loadTime.toFixed(0)}ms)` : 
-            `Placed ${modelDef.name}`;
-            
-        this._showNotification(message, 2000);
-        this._updateModelInfo();
+    _isPlacementAllowed(modelDef, surface) {
+        return modelDef.placement === 'any' || (modelDef.placement || 'floor') === surface;
     }
 
     /**
-     * Scale operations
+     * Align a placed model to its surface: on floors its bounding-box bottom
+     * rests on the surface, on walls the model's back faces the wall and on
+     * ceilings its top touches it. On walls and ceilings the tapped point
+     * becomes the center of the contact face.
+     * @param {THREE.Object3D} model - Model positioned at the hit point
+     * @param {string} surface - 'floor', 'wall' or 'ceiling'
+     * @param {THREE.Vector3} normal - Surface normal
+     * @param {boolean} keepRotation - Keep the model's current rotation
      */
-    increaseScale() {
-        this._adjustScale(1 + this.config.scaleStep);
-    }
+    _alignToSurface(model, surface, normal, keepRotation = false) {
+        const facing = normal.clone().setY(0);
+        if (surface === 'wall' && !keepRotation && facing.lengthSq() > 1e-6) {
+            // glTF models face +Z, so +Z points out of the wall
+            model.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), facing.normalize());
+        }
+        model.userData.surface = surface;
+
+        const bounds = this._getLocalBounds(model);
+        const center = bounds.getCenter(new THREE.Vector3());
+        let offset = null;
+
+        if (surface === 'floor') {
+            // Pivots are rarely at the very bottom of a model
+            offset = new THREE.Vector3(0, -bounds.min.y, 0);
+        } else if (surface === 'wall') {
+            offset = new THREE.Vector3(-center.x, -center.y, -bounds.min.z);
+        } else if (surface === 'ceiling') {
+            offset = new THREE.Vector3(-center.x, -bounds.max.y, -center.z);
+        }
 
-    decreaseScale() {
-        this._adjustScale(1 - this.config.scaleStep);
+        if (offset) {
+            model.position.add(offset.applyQuaternion(model.quaternion));
+        }
     }
 
-    resetScale() {
+    /**
+     * Bounding box of a model in its own rotated frame, including scale
+     * @param {THREE.Object3D} model - Placed model
+     * @returns {THREE.Box3} - Box relative to the model origin
+     */
+    _getLocalBounds(model) {
+        const position = model.position.clone();
+        const quaternion = model.quaternion.clone();
+
+        model.position.set(0, 0, 0);
+        model.quaternion.identity();
+        model.updateMatrixWorld(true);
+        const bounds = new THREE.Box3().setFromObject(model);
+
+        model.position.copy(position);
+        model.quaternion.copy(quaternion);
+        model.updateMatrixWorld(true);
+        return bounds;
+    }
+
+    /**
+     * Request an XRAnchor at the placement position; it is created on the
+     * next XR frame because hit test results are only valid inside a frame
+     * @returns {Promise<XRAnchor|null>} - Anchor, or null when unsupported
+     */
+    _requestAnchor(position) {
+        if (!this.state.anchorsSupported || !this.state.isInAR) {
+            return Promise.resolve(null);
+        }
+
+        return new Promise(resolve => {
+            this.state.pendingAnchorRequests.push({ position: position.clone(), resolve });
+        });
+    }
+
+    /**
+     * Create anchors for pending placement requests
+     */
+    _processAnchorRequests(frame) {
+        if (this.state.pendingAnchorRequests.length === 0) return;
+
+        const requests = this.state.pendingAnchorRequests.splice(0);
+        const hitTestResult = this.state.xrHitTestResults[0];
+        const hitPose = hitTestResult?.getPose(this.state.xrReferenceSpace);
+        const hitPosition = hitPose ? new THREE.Vector3().copy(hitPose.transform.position) : null;
+
+        requests.forEach(({ position, resolve }) => {
+            let anchorPromise;
+            // Restored or dragged objects are not under the reticle
+            const isAtHit = hitPosition && hitPosition.distanceTo(position) < 0.05;
+
+            try {
+                if (isAtHit && hitTestResult.createAnchor) {
+                    // Hit test anchors stay attached to the detected surface
+                    anchorPromise = hitTestResult.createAnchor();
+                } else if (frame.createAnchor) {
+                    const transform = new XRRigidTransform({ x: position.x, y: position.y, z: position.z });
+                    anchorPromise = frame.createAnchor(transform, this.state.xrReferenceSpace);
+                }
+            } catch (error) {
+                anchorPromise = Promise.reject(error);
+            }
+
+            Promise.resolve(anchorPromise || null)
+                .then(resolve)
+                .catch(error => {
+                    console.warn('Anchor creation failed, using fixed position:', error);
+                    resolve(null);
+                });
+        });
+    }
+
+    /**
+     * Bind placed object to its anchor
+     */
+    _attachAnchor(object, anchor) {
+        if (!anchor) return;
+
+        if (!this.state.xrSession) {
+            anchor.delete?.();
+            return;
+        }
+
+        this.state.objectAnchors.set(object, { anchor, lastMatrix: null });
+
+        // Only placed objects are saved with the scene, so only they need persistent handles
+        if (this.config.persistAnchors && anchor.requestPersistentHandle && object.userData.modelId) {
+            anchor.requestPersistentHandle()
+                .then(handle => { object.userData.anchorHandle = handle; })
+                .catch(error => console.warn('Persistent anchor handle unavailable:', error));
+        }
+    }
+
+    /**
+     * Release the anchor of a placed object
+     */
+    _detachAnchor(object) {
+        const entry = this.state.objectAnchors.get(object);
+        if (!entry) return;
+
+        this.state.objectAnchors.delete(object);
+        entry.anchor.delete?.();
+
+        const handle = object.userData.anchorHandle;
+        if (handle && this.state.xrSession?.deletePersistentAnchor) {
+            this.state.xrSession.deletePersistentAnchor(handle).catch(() => {});
+        }
+        delete object.userData.anchorHandle;
+    }
+
+    /**
+     * Apply anchor pose corrections to placed objects. Only the change in
+     * anchor pose since the last frame is applied, so user rotation and
+     * scale on the object are preserved
+     */
+    _updateAnchoredObjects(frame) {
+        if (this.state.objectAnchors.size === 0) return;
+
+        this.state.objectAnchors.forEach((entry, object) => {
+            // Keep the last known pose while the anchor is not tracked
+            if (frame.trackedAnchors && !frame.trackedAnchors.has(entry.anchor)) return;
+
+            const pose = frame.getPose(entry.anchor.anchorSpace, this.state.xrReferenceSpace);
+            if (!pose) return;
+
+            const current = new THREE.Matrix4().fromArray(pose.transform.matrix);
+
+            if (entry.lastMatrix && !this._matricesEqual(current, entry.lastMatrix)) {
+                const delta = current.clone().multiply(entry.lastMatrix.clone().invert());
+                object.applyMatrix4(delta);
+            }
+
+            entry.lastMatrix = current;
+        });
+    }
+
+    /**
+     * Compare matrices within a small tolerance
+     */
+    _matricesEqual(a, b, epsilon = 1e-5) {
+        return a.elements.every((value, index) => Math.abs(value - b.elements[index]) < epsilon);
+    }
+
+    /**
+     * Get default object position
+     */
+    _getDefaultPosition() {
+        if (this._isViewerActive()) {
+            return this.state.viewer.getFocusPoint();
+        }
+
+        const reticlePose = this.state.isInAR ? this._getReticlePose() : null;
+        return reticlePose ? reticlePose.position : new THREE.Vector3(0, 0, -2);
+    }
+
+    /**
+     * Whether the 3D viewer is showing the scene
+     * @returns {boolean}
+     */
+    _isViewerActive() {
+        return this.state.isViewerMode && !this.state.isInAR;
+    }
+
+    /**
+     * Load 3D model instance from the model cache
+     */
+    async _loadModel(modelDef, position, objectId) {
+        try {
+            const { model, animations, size } = await this.state.modelCache.instantiate(modelDef);
+
+            // Native size at scale 1, used for real-world dimensions
+            modelDef.measuredDimensions = { width: size.x, depth: size.z, height: size.y };
+
+            model.position.copy(position);
+            model.scale.setScalar(this.state.currentScale * modelDef.defaultScale);
+
+            this.state.scene.add(model);
+            this.state.placedObjects.push(model);
+            this.selectObject(model);
+
+            // Setup animations
+            if (animations.length > 0) {
+                this._setupModelAnimations(model, animations);
+            }
+
+            return model;
+
+        } catch (error) {
+            console.error('Model load error:', error);
+            modelDef.available = false;
+            modelDef.error = error.message || 'Failed to load';
+            throw error;
+        }
+    }
+
+    /**
+     * Setup model animations
+     */
+    _setupModelAnimations(model, animations) {
+        const mixer = new THREE.AnimationMixer(model);
+        
+        animations.forEach(clip => {
+            const action = mixer.clipAction(clip);
+            action.play();
+        });
+        
+        model.userData.mixer = mixer;
+        model.userData.animation = true;
+    }
+
+    /**
+     * Configure placed model
+     */
+    _configureModel(model, modelDef, objectId, options = {}) {
+        const scale = (this.state.trueScaleLock && this._getTrueScale(modelDef)) ||
+            options.scale || this.state.currentScale;
+
+        model.userData = {
+            ...options.userData,
+            ...model.userData,
+            type: modelDef.name,
+            modelId: modelDef.id,
+            baseScale: modelDef.defaultScale,
+            scale,
+            id: objectId
+        };
+
+        model.scale.setScalar(scale * modelDef.defaultScale);
+        if (options.quaternion) {
+            model.quaternion.copy(options.quaternion);
+        }
+
+        if (options.silent) return;
+
+        const loadTime = this._trackEvent('object-appeared', objectId);
+        const message = loadTime ? 
+            `Placed ${modelDef.name} (${loadTime.toFixed(0)}ms)` : 
+            `Placed ${modelDef.name}`;
+            
+        this._showNotification(message, 2000);
+        this._updateModelInfo();
+    }
+
+    /**
+     * Scale operations
+     */
+    increaseScale() {
+        this._adjustScale(1 + this.config.scaleStep);
+    }
+
+    decreaseScale() {
+        this._adjustScale(1 - this.config.scaleStep);
+    }
+
+    resetScale() {
         this._setScale(this.config.defaultScale);
         this._trackEvent('scale-reset');
     }
 
     /**
-     * Adjust scale of active object or default scale
+     * Adjust scale of selected objects or default scale
+     */
+    _adjustScale(factor) {
+        if (this._isScaleLocked()) return;
+
+        const selection = this.getSelection();
+
+        if (selection.length > 0) {
+            const before = this._captureTransforms(selection);
+            const changes = selection
+                .map(object => {
+                    const currentScale = object.userData.scale || this.state.currentScale;
+                    return { object, currentScale, newScale: this._clampScale(currentScale * factor) };
+                })
+                .filter(({ currentScale, newScale }) => newScale !== currentScale);
+            
+            if (changes.length === 0) {
+                const limit = factor > 1 ? 'Maximum' : 'Minimum';
+                this._showNotification(`${limit} scale reached`, 2000);
+                return;
+            }
+            
+            changes.forEach(({ object, newScale }) => this._setObjectScale(object, newScale));
+            this._recordTransformChange('scale', before);
+        } else {
+            this.state.currentScale = this._clampScale(this.state.currentScale * factor);
+            this._showNotification(`Default scale: ${this.state.currentScale.toFixed(2)}x`, 1000);
+        }
+        
+        this._updateModelInfo();
+    }
+
+    /**
+     * Set specific scale value
+     */
+    _setScale(scale) {
+        if (this._isScaleLocked()) return;
+
+        const clampedScale = this._clampScale(scale);
+        const selection = this.getSelection();
+        
+        if (selection.length > 0) {
+            const before = this._captureTransforms(selection);
+            selection.forEach(object => this._setObjectScale(object, clampedScale));
+            this._recordTransformChange('scale', before);
+        } else {
+            this.state.currentScale = clampedScale;
+            this._showNotification(`Default scale: ${clampedScale.toFixed(2)}x`, 1000);
+        }
+        
+        this._updateModelInfo();
+    }
+
+    /**
+     * Set object scale
+     */
+    _setObjectScale(object, scale) {
+        this._applyObjectScale(object, scale);
+        this._scheduleAutosave();
+        this._showNotification(`Scale: ${scale.toFixed(2)}x`, 1000);
+    }
+
+    /**
+     * Apply scale without notifications, used for continuous gestures
+     */
+    _applyObjectScale(object, scale) {
+        object.scale.setScalar(scale * (object.userData.baseScale || 1));
+        object.userData.scale = scale;
+    }
+
+    /**
+     * Toggle true-to-scale lock; pins objects to the catalog's declared dimensions
+     * @param {boolean} enabled - Optional explicit state
+     */
+    toggleTrueScale(enabled = !this.state.trueScaleLock) {
+        this.state.trueScaleLock = enabled;
+        this._trackEvent('true-scale', { enabled });
+
+        if (!enabled) {
+            this._showNotification('True scale unlocked', 1500);
+            this._updateModelInfo();
+            return;
+        }
+
+        const pinnable = this.state.placedObjects.filter(object => this._getTrueScale(this._getModelDef(object)));
+        const before = this._captureTransforms(pinnable);
+
+        pinnable.forEach(object => {
+            this._applyObjectScale(object, this._getTrueScale(this._getModelDef(object)));
+        });
+        this._recordTransformChange('true-scale', before);
+
+        const skipped = this.state.placedObjects.length - pinnable.length;
+        this._showNotification(skipped > 0 ?
+            `True scale locked (${skipped} objects without declared size)` :
+            'True scale locked (1:1)', 2000);
+        this._updateModelInfo();
+        this._scheduleAutosave();
+    }
+
+    /**
+     * Switch dimension readout between metric and imperial units
+     * @param {string} units - 'metric' or 'imperial'
+     */
+    setDimensionUnits(units = this.config.dimensionUnits === 'metric' ? 'imperial' : 'metric') {
+        this.config.dimensionUnits = units;
+        this._updateModelInfo();
+        this._updateMeasurementInfo();
+        this._showNotification(`Units: ${units === 'metric' ? 'cm' : 'inches'}`, 1500);
+    }
+
+    /**
+     * Real-world dimensions of a placed object in meters
+     * @param {THREE.Object3D} object - Placed object
+     * @returns {Object|null} - { width, depth, height }
+     */
+    getObjectDimensions(object) {
+        const measured = this._getModelDef(object)?.measuredDimensions;
+        if (!measured) return null;
+
+        const factor = object.scale.x;
+        return {
+            width: measured.width * factor,
+            depth: measured.depth * factor,
+            height: measured.height * factor
+        };
+    }
+
+    /**
+     * Scale multiplier that makes a model match its declared dimensions
+     * @returns {number|null} - userData scale value, or null when unknown
+     */
+    _getTrueScale(modelDef) {
+        const declared = modelDef?.dimensions;
+        const measured = modelDef?.measuredDimensions;
+        if (!declared || !measured) return null;
+
+        // Average the per-axis ratios to absorb small modelling differences
+        const ratios = ['width', 'depth', 'height']
+            .filter(axis => measured[axis] > 0)
+            .map(axis => declared[axis] / measured[axis]);
+        if (ratios.length === 0) return null;
+
+        const ratio = ratios.reduce((a, b) => a + b, 0) / ratios.length;
+        return ratio / modelDef.defaultScale;
+    }
+
+    /**
+     * Notify and report whether manual scaling is blocked by the true scale lock
+     */
+    _isScaleLocked() {
+        if (this.state.trueScaleLock && this.getSelection().length > 0) {
+            this._showNotification('True scale is locked', 1500);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Catalog entry of a placed object
+     */
+    _getModelDef(object) {
+        return this.config.models?.find(model => model.id === object?.userData?.modelId) || null;
+    }
+
+    /**
+     * Format dimensions for display
+     * @param {Object} dimensions - { width, depth, height } in meters
+     * @returns {string} - e.g. "230 × 96 × 125 cm"
+     */
+    _formatDimensions(dimensions) {
+        const { width, depth, height } = dimensions;
+
+        if (this.config.dimensionUnits === 'imperial') {
+            const toInches = meters => (meters / 0.0254).toFixed(1);
+            return `${toInches(width)} × ${toInches(depth)} × ${toInches(height)} in`;
+        }
+
+        const toCm = meters => Math.round(meters * 100);
+        return `${toCm(width)} × ${toCm(depth)} × ${toCm(height)} cm`;
+    }
+
+    /**
+     * Format a length for display
+     * @param {number} meters - Length in meters
+     * @returns {string} - e.g. "96.0 cm", "2.30 m" or "3' 1.8\""
+     */
+    _formatLength(meters) {
+        if (this.config.dimensionUnits === 'imperial') {
+            const inches = meters / 0.0254;
+            if (inches < 12) return `${inches.toFixed(1)}"`;
+            return `${Math.floor(inches / 12)}' ${(inches % 12).toFixed(1)}"`;
+        }
+
+        return meters < 1 ? `${(meters * 100).toFixed(1)} cm` : `${meters.toFixed(2)} m`;
+    }
+
+    /**
+     * Format an area for display
+     * @param {number} squareMeters - Area in square meters
+     * @returns {string} - e.g. "2.21 m²" or "23.8 ft²"
+     */
+    _formatArea(squareMeters) {
+        if (this.config.dimensionUnits === 'imperial') {
+            return `${(squareMeters / 0.09290304).toFixed(1)} ft²`;
+        }
+        return `${squareMeters.toFixed(2)} m²`;
+    }
+
+    /**
+     * Clamp scale to valid range
+     */
+    _clampScale(scale) {
+        return Math.max(this.config.minScale, Math.min(this.config.maxScale, scale));
+    }
+
+    /**
+     * Model selection
+     */
+    nextModel() {
+        this._trackEvent('model-switch');
+        
+        const models = this.config.models || [];
+        if (!models.some(model => model.available)) {
+            this._showNotification('No models available', 2000);
+            return;
+        }
+
+        const previousIndex = this.config.currentModelIndex;
+
+        // Skip entries that failed validation
+        do {
+            this.config.currentModelIndex = (this.config.currentModelIndex + 1) % models.length;
+        } while (!models[this.config.currentModelIndex].available);
+
+        const modelName = models[this.config.currentModelIndex].name;
+        
+        // Parse the newly selected model while the user aims
+        this.state.modelCache?.preload(models[this.config.currentModelIndex]);
+        
+        this._showNotification(`Selected: ${modelName}`, 2000);
+        this._updateModelInfo();
+
+        const nextIndex = this.config.currentModelIndex;
+        this.state.history.push({
+            name: 'model-switch',
+            undo: () => this._setModelIndex(previousIndex),
+            redo: () => this._setModelIndex(nextIndex)
+        });
+    }
+
+    /**
+     * Select catalog model by index without recording history
+     */
+    _setModelIndex(index) {
+        this.config.currentModelIndex = index;
+        this.state.modelCache?.preload(this.config.models[index]);
+        this._updateModelInfo();
+    }
+
+    /**
+     * Object removal
+     */
+    removeObject() {
+        this._trackEvent('remove-object');
+        
+        const selection = this.getSelection();
+        const lastPlaced = this.state.placedObjects[this.state.placedObjects.length - 1];
+        const objectsToRemove = selection.length > 0 ? selection : [lastPlaced].filter(Boolean);
+        
+        if (objectsToRemove.length === 0) {
+            this._showNotification('No objects to remove', 2000);
+            return;
+        }
+        
+        const removed = this._removeObjects(objectsToRemove);
+        this.state.history.push({
+            name: 'remove',
+            undo: () => this._restoreObjects(removed),
+            redo: () => this._removeObjects(objectsToRemove)
+        });
+        
+        this._showNotification(objectsToRemove.length > 1 ?
+            `Removed ${objectsToRemove.length} objects` :
+            `Removed ${objectsToRemove[0].userData.type}`, 2000);
+        this._updateModelInfo();
+        this._scheduleAutosave();
+        
+        if (this.state.performanceTracker) {
+            this.state.performanceTracker.updateMemoryUsage();
+        }
+    }
+
+    /**
+     * Toggle object animation
+     */
+    toggleAnimation() {
+        this._trackEvent('toggle-animation');
+        
+        if (!this.state.activeObject) {
+            this._showNotification('No active object', 2000);
+            return;
+        }
+        
+        const isAnimating = this.state.activeObject.userData.animation;
+        this.state.activeObject.userData.animation = !isAnimating;
+        
+        const status = this.state.activeObject.userData.animation ? 'enabled' : 'disabled';
+        this._showNotification(`Animation ${status}`, 2000);
+    }
+
+    /**
+     * Rotate selected objects; a group rotates around its common center
+     */
+    rotateObject(degrees = 45) {
+        const selection = this.getSelection();
+
+        if (selection.length === 0) {
+            this._showNotification('No active object to rotate', 2000);
+            return;
+        }
+        
+        const before = this._captureTransforms(selection);
+        const primary = this.state.activeObject || selection[0];
+        const yaw = this._getYaw(primary);
+        const radians = this.state.layoutConstraints.snapAngle(yaw + THREE.MathUtils.degToRad(degrees)) - yaw;
+
+        // Snapping can swallow a step smaller than half the snap angle
+        if (Math.abs(radians) < 1e-6) {
+            this._showNotification('Rotation unchanged by snapping', 1000);
+            return;
+        }
+
+        this._rotateSelection(selection, radians);
+
+        this._recordTransformChange('rotate', before);
+        this._showNotification(`Rotated ${Math.round(THREE.MathUtils.radToDeg(radians))}°`, 1000);
+        this._scheduleAutosave();
+    }
+
+    /**
+     * Move selected objects together by a world-space offset
+     * @param {THREE.Vector3} offset - Translation to apply
+     */
+    moveSelection(offset) {
+        const selection = this.getSelection();
+        if (selection.length === 0) return;
+
+        const allowed = this._constrainSelectionMove(selection, offset);
+        if (!allowed) return;
+
+        const before = this._captureTransforms(selection);
+        selection.forEach(object => object.position.add(allowed));
+        this._recordTransformChange('move', before);
+        this._scheduleAutosave();
+    }
+
+    /**
+     * Move selected objects one nudge step along the floor
+     * @param {number} x - Steps along world X
+     * @param {number} z - Steps along world Z
+     */
+    nudgeSelection(x, z) {
+        this.moveSelection(new THREE.Vector3(x, 0, z).multiplyScalar(this.config.nudgeDistance));
+    }
+
+    /**
+     * Check whether a touch ray starts on a selected object
+     */
+    _isRayOnSelection(rayTransform) {
+        if (this.state.selectedObjects.length === 0) return false;
+
+        const { position, orientation } = rayTransform;
+        const raycaster = new THREE.Raycaster();
+        raycaster.ray.origin.set(position.x, position.y, position.z);
+        raycaster.ray.direction.set(0, 0, -1).applyQuaternion(
+            new THREE.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w)
+        );
+
+        const hitObject = this._intersectPlacedObjects(raycaster);
+        return !!hitObject && this.state.selectedObjects.includes(hitObject);
+    }
+
+    /**
+     * Move selection so the primary object follows the dragged surface point
+     */
+    _dragSelectionTo(hitPosition) {
+        const primary = this.state.activeObject;
+        if (!primary) return;
+
+        this._beginGestureSnapshot();
+
+        // Keep the horizontal grab offset so the object does not jump under the finger;
+        // floor objects keep their bounding-box bottom on the dragged surface
+        if (!this.state.dragOffset) {
+            const onFloor = !primary.userData.surface || primary.userData.surface === 'floor';
+            const bottomOffset = onFloor ?
+                primary.position.y - this.state.layoutConstraints.getBounds([primary]).min.y : 0;
+            this.state.dragOffset = primary.position.clone().sub(hitPosition).setY(bottomOffset);
+        }
+
+        const selection = this.getSelection();
+        const target = hitPosition.clone().add(this.state.dragOffset);
+        const offset = this._constrainSelectionMove(selection, target.sub(primary.position));
+        if (!offset) return;
+
+        selection.forEach(object => object.position.add(offset));
+    }
+
+    /**
+     * Scale selection by a pinch factor within the configured limits
+     */
+    _pinchSelection(factor) {
+        if (this.state.trueScaleLock) return;
+
+        this._beginGestureSnapshot();
+        this.getSelection().forEach(object => {
+            const currentScale = object.userData.scale || this.state.currentScale;
+            this._applyObjectScale(object, this._clampScale(currentScale * factor));
+        });
+        this._updateModelInfo();
+    }
+
+    /**
+     * Rotate selection around its up axis by a twist angle
+     */
+    _twistSelection(radians) {
+        const selection = this.getSelection();
+        if (selection.length === 0) return;
+
+        this._beginGestureSnapshot();
+
+        // Collect twist until it reaches the next rotation step when snapping is on
+        this.state.twistAccumulator += radians;
+        const primary = this.state.activeObject || selection[0];
+        const yaw = this._getYaw(primary);
+        let delta = this.state.layoutConstraints.snapAngle(yaw + this.state.twistAccumulator) - yaw;
+        delta = Math.atan2(Math.sin(delta), Math.cos(delta));
+        if (Math.abs(delta) < 1e-4) return;
+
+        this.state.twistAccumulator -= delta;
+        this._rotateSelection(selection, delta);
+    }
+
+    /**
+     * Rotate objects together around their common center
+     * @param {Array<THREE.Object3D>} objects - Objects to rotate
+     * @param {number} radians - Rotation around the vertical axis
+     */
+    _rotateSelection(objects, radians) {
+        const pivot = this._getSelectionCenter(objects);
+        const axis = new THREE.Vector3(0, 1, 0);
+
+        objects.forEach(object => {
+            object.position.sub(pivot).applyAxisAngle(axis, radians).add(pivot);
+            object.rotateY(radians);
+        });
+    }
+
+    /**
+     * Rotation of an object around the vertical axis
+     */
+    _getYaw(object) {
+        return new THREE.Euler().setFromQuaternion(object.quaternion, 'YXZ').y;
+    }
+
+    /**
+     * Toggle rotation-step and edge snapping together
+     * @param {boolean} enabled - Desired state (toggles when omitted)
+     */
+    toggleSnapping(enabled = !this.isSnappingEnabled()) {
+        const options = this.state.layoutConstraints.options;
+        options.snapRotation = enabled;
+        options.snapToEdges = enabled;
+
+        this._trackEvent('layout-snapping', { enabled });
+        this._showNotification(enabled ?
+            `Snapping on (${options.rotationStep}° steps, edges)` :
+            'Snapping off', 1500);
+    }
+
+    /**
+     * Whether rotation or edge snapping is active
+     * @returns {boolean}
+     */
+    isSnappingEnabled() {
+        const { snapRotation, snapToEdges } = this.state.layoutConstraints.options;
+        return snapRotation || snapToEdges;
+    }
+
+    /**
+     * Apply layout constraints to a selection move
+     * @param {Array<THREE.Object3D>} selection - Objects moved together
+     * @param {THREE.Vector3} offset - Requested translation
+     * @returns {THREE.Vector3|null} - Allowed translation, or null when the move is blocked
+     */
+    _constrainSelectionMove(selection, offset) {
+        const obstacles = this.state.placedObjects.filter(object => !selection.includes(object));
+        const result = this.state.layoutConstraints.constrainMove(selection, offset, obstacles);
+
+        if (result.blockedBy.length > 0) {
+            this._showLayoutWarning(result.blockedBy, result.offset ? null : 'Objects cannot overlap');
+        }
+        return result.offset;
+    }
+
+    /**
+     * Push a newly placed model out of other objects
+     * @returns {boolean} - false when there is no room for the model
+     */
+    _resolvePlacementOverlap(model) {
+        const offset = this._constrainSelectionMove([model], new THREE.Vector3());
+        if (!offset) {
+            this._showNotification('Not enough room here, objects cannot overlap', 2000);
+            return false;
+        }
+
+        model.position.add(offset);
+        return true;
+    }
+
+    /**
+     * Briefly outline objects that blocked a move in red
+     * @param {Array<THREE.Object3D>} objects - Blocking objects
+     * @param {string} message - Optional notification, throttled
+     */
+    _showLayoutWarning(objects, message = null) {
+        const until = performance.now() + 600;
+
+        objects.forEach(object => {
+            const warning = this.state.layoutWarnings.get(object);
+            if (warning) {
+                warning.until = until;
+                return;
+            }
+
+            const helper = new THREE.BoxHelper(object, 0xF44336);
+            helper.material.depthTest = false;
+            helper.renderOrder = 999;
+            this.state.scene.add(helper);
+            this.state.layoutWarnings.set(object, { helper, until });
+        });
+
+        if (message && performance.now() - this.state.lastLayoutWarningTime > 1500) {
+            this.state.lastLayoutWarningTime = performance.now();
+            this._showNotification(message, 1500);
+        }
+    }
+
+    /**
+     * Update and expire overlap warning outlines
+     */
+    _updateLayoutWarnings() {
+        if (this.state.layoutWarnings.size === 0) return;
+
+        const now = performance.now();
+        this.state.layoutWarnings.forEach((warning, object) => {
+            if (now < warning.until && object.parent) {
+                warning.helper.update();
+                return;
+            }
+
+            this.state.scene.remove(warning.helper);
+            warning.helper.geometry.dispose();
+            warning.helper.material.dispose();
+            this.state.layoutWarnings.delete(object);
+        });
+    }
+
+    /**
+     * Capture selection transforms once at the start of a gesture
+     */
+    _beginGestureSnapshot() {
+        if (!this.state.gestureSnapshot) {
+            this.state.gestureSnapshot = this._captureTransforms(this.getSelection());
+        }
+    }
+
+    /**
+     * Finish a gesture: re-anchor moved objects and save the layout
+     */
+    _onGestureEnd(mode) {
+        const selection = this.getSelection();
+        const before = this.state.gestureSnapshot;
+        this.state.gestureSnapshot = null;
+        this.state.twistAccumulator = 0;
+        if (selection.length === 0 || !before) return;
+
+        this._recordTransformChange(mode === 'drag' ? 'drag' : 'pinch', before);
+
+        if (mode === 'drag') {
+            this.state.dragOffset = null;
+            selection.forEach(object => this._reanchorObject(object));
+            this._trackEvent('gesture-drag', { objects: selection.length });
+        } else {
+            this._trackEvent('gesture-pinch', { objects: selection.length });
+        }
+
+        this._scheduleAutosave();
+    }
+
+    /**
+     * Replace an object's anchor after it was moved to a new spot
+     */
+    _reanchorObject(object) {
+        if (!this.state.anchorsSupported) return;
+
+        this._detachAnchor(object);
+        this._requestAnchor(object.position).then(anchor => {
+            if (this.state.placedObjects.includes(object)) {
+                this._attachAnchor(object, anchor);
+            } else {
+                anchor?.delete?.();
+            }
+        });
+    }
+
+    /**
+     * Select a placed object
+     * @param {THREE.Object3D} object - Placed object
+     * @param {Object} options - { additive } keeps the current selection
+     */
+    selectObject(object, { additive = false } = {}) {
+        if (!this.state.placedObjects.includes(object)) return;
+
+        if (!additive) {
+            this.deselectAll();
+        }
+
+        if (!this.state.selectedObjects.includes(object)) {
+            this.state.selectedObjects.push(object);
+            this._addSelectionHelper(object);
+        }
+
+        this.state.activeObject = object;
+        this._refreshSelectionHelpers();
+        this._updateModelInfo();
+    }
+
+    /**
+     * Clear the selection
+     */
+    deselectAll() {
+        [...this.state.selectedObjects].forEach(object => this._deselectObject(object));
+        this._updateModelInfo();
+    }
+
+    /**
+     * Get currently selected objects
+     * @returns {Array<THREE.Object3D>} - Selected objects
+     */
+    getSelection() {
+        return [...this.state.selectedObjects];
+    }
+
+    /**
+     * Toggle group selection mode; taps then add or remove objects
+     * from the selection instead of replacing it
+     * @param {boolean} enabled - Optional explicit state
+     */
+    toggleGroupSelect(enabled = !this.state.groupSelectMode) {
+        this.state.groupSelectMode = enabled;
+        this._showNotification(enabled ? 'Group select on: tap objects to add them' : 'Group select off', 2000);
+        this._trackEvent('group-select', { enabled });
+    }
+
+    /**
+     * Handle a tap on an existing object
+     */
+    _onObjectTapped(object) {
+        const isSelected = this.state.selectedObjects.includes(object);
+
+        if (this.state.groupSelectMode && isSelected) {
+            this._deselectObject(object);
+            this._updateModelInfo();
+            return;
+        }
+
+        this.selectObject(object, { additive: this.state.groupSelectMode });
+        this._showNotification(this.state.selectedObjects.length > 1 ?
+            `${this.state.selectedObjects.length} objects selected` :
+            `Selected ${object.userData.type}`, 1500);
+    }
+
+    /**
+     * Remove object from the selection
+     */
+    _deselectObject(object) {
+        this.state.selectedObjects = this.state.selectedObjects.filter(obj => obj !== object);
+
+        const helper = this.state.selectionHelpers.get(object);
+        if (helper) {
+            this.state.scene.remove(helper);
+            helper.geometry.dispose();
+            helper.material.dispose();
+            this.state.selectionHelpers.delete(object);
+        }
+
+        if (this.state.activeObject === object) {
+            this.state.activeObject = this.state.selectedObjects[this.state.selectedObjects.length - 1] || null;
+        }
+        this._refreshSelectionHelpers();
+    }
+
+    /**
+     * Raycast from the XR controller against placed objects
+     * @returns {THREE.Object3D|null} - Tapped placed object
+     */
+    _pickPlacedObject() {
+        const controller = this.state.controller;
+        if (!controller || this.state.placedObjects.length === 0) return null;
+
+        const rotation = new THREE.Matrix4().extractRotation(controller.matrixWorld);
+        this.state.raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
+        this.state.raycaster.ray.direction.set(0, 0, -1).applyMatrix4(rotation);
+
+        return this._intersectPlacedObjects(this.state.raycaster);
+    }
+
+    /**
+     * Find the placed object hit first by a raycaster
+     * @param {THREE.Raycaster} raycaster - Configured raycaster
+     * @returns {THREE.Object3D|null} - Placed object
+     */
+    _intersectPlacedObjects(raycaster) {
+        const intersections = raycaster.intersectObjects(this.state.placedObjects, true);
+
+        for (const intersection of intersections) {
+            let object = intersection.object;
+            while (object && !this.state.placedObjects.includes(object)) {
+                object = object.parent;
+            }
+            if (object) return object;
+        }
+
+        return null;
+    }
+
+    /**
+     * Create highlight for a selected object. A box outline is used rather
+     * than tinting materials, which are shared between cached clones.
+     */
+    _addSelectionHelper(object) {
+        const helper = new THREE.BoxHelper(object, 0x44CC88);
+        helper.material.depthTest = false;
+        helper.renderOrder = 999;
+        this.state.selectionHelpers.set(object, helper);
+        this.state.scene.add(helper);
+    }
+
+    /**
+     * Color the primary selection differently from the rest of a group
+     */
+    _refreshSelectionHelpers() {
+        this.state.selectionHelpers.forEach((helper, object) => {
+            helper.material.color.set(object === this.state.activeObject ? 0x44CC88 : 0x4FC3F7);
+        });
+    }
+
+    /**
+     * Keep selection outlines aligned with moving objects
+     */
+    _updateSelectionHelpers() {
+        this.state.selectionHelpers.forEach(helper => helper.update());
+        this._updateLayoutWarnings();
+    }
+
+    /**
+     * Center of a set of objects
+     */
+    _getSelectionCenter(objects) {
+        const center = new THREE.Vector3();
+        objects.forEach(object => center.add(object.position));
+        return center.divideScalar(objects.length);
+    }
+
+    /**
+     * Toggle measuring tape mode; while active, taps add measurement
+     * points instead of placing or selecting objects
+     * @param {boolean} enabled - Desired state (toggles when omitted)
+     */
+    toggleMeasureMode(enabled = !this.state.measureMode) {
+        this.state.measureMode = enabled;
+        this._trackEvent('measure-mode', { enabled });
+
+        if (enabled) {
+            this.deselectAll();
+        }
+
+        this._showNotification(enabled ? 'Measure mode: tap surfaces to add points' : 'Measure mode off', 2000);
+        this._updateMeasurementInfo();
+    }
+
+    /**
+     * Close the current measurement into a polygon to get its area
+     */
+    closeMeasurement() {
+        if (!this.state.measurementTool?.close()) {
+            this._showNotification('Add at least 3 points to measure an area', 2000);
+            return;
+        }
+
+        this._trackEvent('measurement-closed');
+        this._updateMeasurementInfo();
+    }
+
+    /**
+     * Remove all measurement points
+     */
+    clearMeasurements() {
+        const removed = this.state.measurementTool?.clear() || [];
+        removed.forEach(marker => this._detachAnchor(marker));
+
+        this._updateMeasurementInfo();
+        if (removed.length > 0) {
+            this._showNotification('Measurements cleared', 1500);
+        }
+    }
+
+    /**
+     * Export the current measurement (meters)
+     * @returns {Object} - Serialized measurement
+     */
+    exportMeasurements() {
+        this._trackEvent('measurement-export');
+        return this.state.measurementTool.toJSON();
+    }
+
+    /**
+     * Download the current measurement as JSON file
+     */
+    downloadMeasurements() {
+        if (!this.state.measurementTool?.markers.length) {
+            this._showNotification('Nothing measured yet', 1500);
+            return;
+        }
+
+        const measurement = this.exportMeasurements();
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        this._downloadJSON(JSON.stringify(measurement, null, 2), `ar-measurement-${timestamp}.json`);
+    }
+
+    /**
+     * Add a world-locked measurement point
+     * @param {THREE.Vector3} position - Surface point under the reticle
+     */
+    _addMeasurementPoint(position) {
+        const tool = this.state.measurementTool;
+
+        // Tapping after a closed polygon starts a new measurement
+        if (tool.closed) {
+            tool.clear().forEach(previous => this._detachAnchor(previous));
+        }
+
+        const marker = tool.addPoint(position);
+
+        if (marker) {
+            this._trackEvent('measurement-point', { count: tool.markers.length });
+            this._requestAnchor(position).then(anchor => {
+                if (tool.markers.includes(marker)) {
+                    this._attachAnchor(marker, anchor);
+                } else {
+                    anchor?.delete?.();
+                }
+            });
+        } else if (tool.closed) {
+            this._trackEvent('measurement-closed');
+        }
+
+        this._updateMeasurementInfo();
+    }
+
+    /**
+     * Update measurement readout in the info panel
+     */
+    _updateMeasurementInfo() {
+        const row = document.getElementById('measurement-row');
+        const readout = document.getElementById('current-measurement');
+        if (row) row.hidden = !this.state.measureMode;
+        if (!readout) return;
+
+        const summary = this.state.measurementTool?.getSummary();
+        if (!summary || summary.pointCount === 0) {
+            readout.textContent = this.state.measureMode ? 'Tap to add points' : '-';
+            return;
+        }
+
+        const parts = [`${this._formatLength(summary.totalLength)} (${summary.pointCount} pts)`];
+        if (summary.area !== null) {
+            parts.push(`area ${this._formatArea(summary.area)}`);
+        }
+        readout.textContent = parts.join(', ');
+    }
+
+    /**
+     * Undo the last scene edit
+     */
+    undo() {
+        const command = this.state.history.undo();
+        this._onHistoryStep(command, 'Undo', 'Nothing to undo');
+    }
+
+    /**
+     * Redo the last undone scene edit
+     */
+    redo() {
+        const command = this.state.history.redo();
+        this._onHistoryStep(command, 'Redo', 'Nothing to redo');
+    }
+
+    /**
+     * Refresh UI and persistence after undo/redo
+     */
+    _onHistoryStep(command, label, emptyMessage) {
+        if (!command) {
+            this._showNotification(emptyMessage, 1500);
+            return;
+        }
+
+        this._trackEvent(`history-${label.toLowerCase()}`, command.name);
+        this._showNotification(`${label}: ${command.name.replace(/-/g, ' ')}`, 1500);
+        this._refreshSelectionHelpers();
+        this._updateModelInfo();
+        this._scheduleAutosave();
+    }
+
+    /**
+     * Enable or disable undo/redo buttons
      */
-    _adjustScale(factor) {
-        if (this.state.activeObject) {
-            const currentScale = this.state.activeObject.userData.scale || this.state.currentScale;
-            const newScale = this._clampScale(currentScale * factor);
-            
-            if (newScale === currentScale) {
-                const limit = factor > 1 ? 'Maximum' : 'Minimum';
-                this._showNotification(`${limit} scale reached`, 2000);
-                return;
+    _updateHistoryButtons({ canUndo, canRedo }) {
+        const undoButton = document.getElementById('undo-btn');
+        const redoButton = document.getElementById('redo-btn');
+
+        if (undoButton) undoButton.disabled = !canUndo;
+        if (redoButton) redoButton.disabled = !canRedo;
+    }
+
+    /**
+     * Record placement of objects as an undoable command
+     */
+    _recordPlacement(name, objects) {
+        let removed = null;
+
+        this.state.history.push({
+            name,
+            undo: () => { removed = this._removeObjects(objects); },
+            redo: () => this._restoreObjects(removed)
+        });
+    }
+
+    /**
+     * Take objects out of the scene, remembering where they were listed
+     * @returns {Array<Object>} - Entries for _restoreObjects()
+     */
+    _removeObjects(objects) {
+        const entries = objects
+            .filter(object => this.state.placedObjects.includes(object))
+            .map(object => ({ object, index: this.state.placedObjects.indexOf(object) }));
+
+        entries.forEach(({ object }) => {
+            this._deselectObject(object);
+            this._detachAnchor(object);
+            this.state.scene.remove(object);
+        });
+        this.state.placedObjects = this.state.placedObjects.filter(obj => !objects.includes(obj));
+
+        return entries;
+    }
+
+    /**
+     * Put previously removed objects back into the scene
+     */
+    _restoreObjects(entries) {
+        [...entries]
+            .sort((a, b) => a.index - b.index)
+            .forEach(({ object, index }) => {
+                this.state.scene.add(object);
+                this.state.placedObjects.splice(Math.min(index, this.state.placedObjects.length), 0, object);
+                this._reanchorObject(object);
+                this._addContactShadow(object);
+            });
+
+        this.deselectAll();
+        entries.forEach(({ object }) => this.selectObject(object, { additive: true }));
+    }
+
+    /**
+     * Snapshot position, rotation and scale of objects
+     */
+    _captureTransforms(objects) {
+        return objects.map(object => ({
+            object,
+            position: object.position.clone(),
+            quaternion: object.quaternion.clone(),
+            scale: object.userData.scale || this.state.currentScale
+        }));
+    }
+
+    /**
+     * Apply transform snapshots to their objects
+     */
+    _restoreTransforms(snapshots) {
+        snapshots.forEach(({ object, position, quaternion, scale }) => {
+            object.position.copy(position);
+            object.quaternion.copy(quaternion);
+            this._applyObjectScale(object, scale);
+            this._reanchorObject(object);
+        });
+    }
+
+    /**
+     * Record the transform change since a snapshot as an undoable command
+     */
+    _recordTransformChange(name, before) {
+        const after = this._captureTransforms(before.map(({ object }) => object));
+        const changed = after.some((snapshot, index) =>
+            !snapshot.position.equals(before[index].position) ||
+            !snapshot.quaternion.equals(before[index].quaternion) ||
+            snapshot.scale !== before[index].scale);
+
+        if (!changed) return;
+
+        this.state.history.push({
+            name,
+            undo: () => this._restoreTransforms(before),
+            redo: () => this._restoreTransforms(after)
+        });
+    }
+
+    /**
+     * Export placed objects as a versioned scene layout
+     * @returns {Object} - Serialized scene
+     */
+    exportScene() {
+        this._trackEvent('scene-export');
+        return this.state.sceneSerializer.serialize(this.state.placedObjects);
+    }
+
+    /**
+     * Download current scene layout as JSON file
+     */
+    downloadScene() {
+        const scene = this.exportScene();
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        this._downloadJSON(JSON.stringify(scene, null, 2), `ar-scene-${timestamp}.json`);
+    }
+
+    /**
+     * Import a scene layout. In AR the layout is re-placed around the next
+     * surface the user taps; pass an origin to place it immediately.
+     * @param {Object|string} data - Serialized scene
+     * @param {THREE.Vector3} origin - Optional world origin for the layout
+     * @returns {Promise<Array<THREE.Object3D>>} - Restored objects
+     */
+    importScene(data, origin = null) {
+        let scene;
+        try {
+            scene = this.state.sceneSerializer.parse(data);
+        } catch (error) {
+            this._trackError(error, 'scene-import');
+            return Promise.reject(error);
+        }
+
+        this._trackEvent('scene-import', { objects: scene.objects.length });
+
+        if (origin || !this.state.isInAR) {
+            return this._placeScene(scene, origin || this._getDefaultPosition());
+        }
+
+        this._cancelSceneImport();
+
+        return new Promise(resolve => {
+            this.state.pendingSceneImport = { scene, resolve };
+            this._showNotification(`Tap a surface to restore layout (${scene.objects.length} objects)`, 4000);
+        });
+    }
+
+    /**
+     * Import the autosaved scene layout, if any
+     * @param {THREE.Vector3} origin - Optional world origin for the layout
+     * @returns {Promise<Array<THREE.Object3D>>} - Restored objects
+     */
+    restoreAutosave(origin = null) {
+        const saved = this.state.sceneSerializer.loadSaved();
+        if (!saved) {
+            this._showNotification('No saved layout found', 2000);
+            return Promise.resolve([]);
+        }
+        return this.importScene(saved, origin);
+    }
+
+    /**
+     * The autosaved scene layout as stored right now
+     * @returns {Object|null} - Serialized scene, or null when nothing is saved
+     */
+    getAutosave() {
+        return this.state.sceneSerializer.loadSaved();
+    }
+
+    /**
+     * Check whether an autosaved layout exists
+     * @returns {boolean}
+     */
+    hasAutosave() {
+        return !!this.getAutosave();
+    }
+
+    /**
+     * Place pending scene import at the chosen hit point
+     */
+    _restoreSceneAt(origin) {
+        const { scene, resolve } = this.state.pendingSceneImport;
+        this.state.pendingSceneImport = null;
+        this._placeScene(scene, origin).then(resolve);
+    }
+
+    /**
+     * Drop a pending scene import
+     */
+    _cancelSceneImport() {
+        if (this.state.pendingSceneImport) {
+            this.state.pendingSceneImport.resolve([]);
+            this.state.pendingSceneImport = null;
+        }
+    }
+
+    /**
+     * Place every object of a parsed scene relative to the origin
+     */
+    async _placeScene(scene, origin) {
+        const results = await Promise.all(scene.objects.map(entry => {
+            const modelDef = this.config.models.find(model => model.id === entry.modelId);
+
+            if (!modelDef?.available) {
+                console.warn(`Skipping unavailable model '${entry.modelId}' in scene`);
+                return null;
             }
-            
-            this._setObjectScale(this.state.activeObject, newScale);
-        } else {
-            this.state.currentScale = this._clampScale(this.state.currentScale * factor);
-            this._showNotification(`Default scale: ${this.state.currentScale.toFixed(2)}x`, 1000);
+
+            const position = new THREE.Vector3().fromArray(entry.position).add(origin);
+
+            return this.placeObject(position, {
+                modelDef,
+                quaternion: new THREE.Quaternion().fromArray(entry.rotation),
+                scale: this._clampScale(entry.scale),
+                userData: entry.userData,
+                silent: true,
+                recordHistory: false
+            });
+        }));
+
+        const restored = results.filter(Boolean);
+        if (restored.length > 0) {
+            this._recordPlacement('restore-scene', restored);
         }
-        
+        const skipped = scene.objects.length - restored.length;
+
+        this._showNotification(skipped > 0 ?
+            `Restored ${restored.length} objects (${skipped} skipped)` :
+            `Restored ${restored.length} objects`, 3000);
         this._updateModelInfo();
+
+        return restored;
     }
 
     /**
-     * Set specific scale value
+     * Debounced autosave after scene changes
      */
-    _setScale(scale) {
-        const clampedScale = this._clampScale(scale);
-        
-        if (this.state.activeObject) {
-            this._setObjectScale(this.state.activeObject, clampedScale);
-        } else {
-            this.state.currentScale = clampedScale;
-            this._showNotification(`Default scale: ${clampedScale.toFixed(2)}x`, 1000);
+    _scheduleAutosave() {
+        if (!this.config.autosaveScene) return;
+
+        this.state.sceneDirty = true;
+        clearTimeout(this.state.autosaveTimeout);
+        this.state.autosaveTimeout = setTimeout(this._saveScene, this.config.autosaveDelay);
+    }
+
+    /**
+     * Save current scene to localStorage immediately
+     */
+    _saveScene() {
+        if (!this.config.autosaveScene) return;
+
+        clearTimeout(this.state.autosaveTimeout);
+        this.state.autosaveTimeout = null;
+
+        // Keep the previous layout until something has been placed in this run
+        if (this.state.placedObjects.length === 0 && !this.state.sceneDirty) return;
+
+        this.state.sceneSerializer.save(this.state.sceneSerializer.serialize(this.state.placedObjects));
+    }
+
+    /**
+     * Start recording a replayable trace of the AR session
+     * @returns {boolean} - Whether recording started
+     */
+    startRecording() {
+        const recorder = this.state.sessionRecorder;
+        if (!this.state.isInAR) {
+            this._showNotification('Start AR to record a session', 2000);
+            return false;
         }
-        
-        this._updateModelInfo();
+        if (recorder.isRecording()) return true;
+
+        recorder.start({
+            device: { userAgent: navigator.userAgent },
+            environmentBlendMode: this.state.xrSession.environmentBlendMode || null
+        });
+        recorder.attach(this.state.xrSession, this.state.xrReferenceSpace);
+
+        this._trackEvent('recording-start');
+        this._showNotification('Recording session', 1500);
+        this._updateRecordButton();
+        return true;
     }
 
     /**
-     * Set object scale
+     * Stop recording and keep the trace for download
+     * @returns {Object|null} - Recorded trace
      */
-    _setObjectScale(object, scale) {
-        object.scale.setScalar(scale);
-        object.userData.scale = scale;
-        this._showNotification(`Scale: ${scale.toFixed(2)}x`, 1000);
+    stopRecording() {
+        const trace = this.state.sessionRecorder.stop();
+        this._updateRecordButton();
+        if (!trace) return null;
+
+        this.state.lastRecording = trace;
+        this._trackEvent('recording-stop', { duration: trace.duration, frames: trace.frames.length });
+        this._showNotification(`Recorded ${(trace.duration / 1000).toFixed(1)}s`, 2000);
+        return trace;
     }
 
     /**
-     * Clamp scale to valid range
+     * Start recording, or stop and download the recording
      */
-    _clampScale(scale) {
-        return Math.max(this.config.minScale, Math.min(this.config.maxScale, scale));
+    toggleRecording() {
+        if (this.state.sessionRecorder.isRecording()) {
+            this.stopRecording();
+            this.downloadRecording();
+        } else {
+            this.startRecording();
+        }
     }
 
     /**
-     * Model selection
+     * Whether a session trace is being recorded
+     * @returns {boolean}
      */
-    nextModel() {
-        this._trackEvent('model-switch');
-        
-        this.config.currentModelIndex = (this.config.currentModelIndex + 1) % this.config.models.length;
-        const modelName = this.config.models[this.config.currentModelIndex].name;
-        
-        this._showNotification(`Selected: ${modelName}`, 2000);
-        this._updateModelInfo();
+    isRecording() {
+        return this.state.sessionRecorder.isRecording();
     }
 
     /**
-     * Object removal
+     * Download the last recording as a compact JSON file
      */
-    removeObject() {
-        this._trackEvent('remove-object');
-        
-        const objectToRemove = this.state.activeObject || this.state.placedObjects[this.state.placedObjects.length - 1];
-        
-        if (!objectToRemove) {
-            this._showNotification('No objects to remove', 2000);
+    downloadRecording() {
+        if (!this.state.lastRecording) {
+            this._showNotification('Nothing recorded yet', 1500);
             return;
         }
-        
-        this.state.scene.remove(objectToRemove);
-        this.state.placedObjects = this.state.placedObjects.filter(obj => obj !== objectToRemove);
-        
-        if (this.state.activeObject === objectToRemove) {
-            this.state.activeObject = null;
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        this._downloadJSON(JSON.stringify(this.state.lastRecording), `ar-session-${timestamp}.json`);
+    }
+
+    /**
+     * Replay a recorded session in the 3D viewer. Placed objects are hidden
+     * until the replay is closed.
+     * @param {Object|string} data - Recorded trace or JSON string
+     * @returns {boolean} - Whether the replay started
+     */
+    startReplay(data) {
+        if (this.state.isInAR) {
+            this._showNotification('Exit AR to replay a recording', 2000);
+            return false;
         }
-        
-        this._showNotification(`Removed ${objectToRemove.userData.type}`, 2000);
-        this._updateModelInfo();
-        
-        if (this.state.performanceTracker) {
-            this.state.performanceTracker.updateMemoryUsage();
+
+        let trace;
+        try {
+            trace = SessionReplayer.parse(data);
+        } catch (error) {
+            this._showNotification(`Cannot replay: ${error.message}`, 3000);
+            return false;
+        }
+
+        if (!this.state.replayer) {
+            this.state.replayer = new SessionReplayer({
+                scene: this.state.scene,
+                createObject: modelId => this._createReplayObject(modelId),
+                onTimeUpdate: (time, duration) => this._updateReplayBar(time, duration)
+            });
         }
+
+        [...this.state.selectedObjects].forEach(object => this._deselectObject(object));
+        this.state.placedObjects.forEach(object => { object.visible = false; });
+        this.state.viewer.enable();
+        this._fitCanvasToViewport();
+
+        this.state.replayer.load(trace);
+        this.state.replayer.play();
+
+        this._trackEvent('replay-start', { duration: trace.duration });
+        this._showNotification(`Replaying ${(trace.duration / 1000).toFixed(1)}s session`, 2000);
+        return true;
     }
 
     /**
-     * Toggle object animation
+     * Close the replay and show placed objects again
      */
-    toggleAnimation() {
-        this._trackEvent('toggle-animation');
-        
-        if (!this.state.activeObject) {
-            this._showNotification('No active object', 2000);
-            return;
+    stopReplay() {
+        if (!this.state.replayer) return;
+
+        this.state.replayer.dispose();
+        this.state.replayer = null;
+        this.state.placedObjects.forEach(object => { object.visible = true; });
+        if (!this.state.isViewerMode) {
+            this.state.viewer.disable();
         }
-        
-        const isAnimating = this.state.activeObject.userData.animation;
-        this.state.activeObject.userData.animation = !isAnimating;
-        
-        const status = this.state.activeObject.userData.animation ? 'enabled' : 'disabled';
-        this._showNotification(`Animation ${status}`, 2000);
+        this._updateReplayBar(null);
     }
 
     /**
-     * Rotate active object
+     * Play or pause the replay
      */
-    rotateObject(degrees = 45) {
-        if (!this.state.activeObject) {
-            this._showNotification('No active object to rotate', 2000);
-            return;
+    toggleReplayPlayback() {
+        const replayer = this.state.replayer;
+        if (!replayer) return;
+
+        replayer.isPlaying() ? replayer.pause() : replayer.play();
+        this._updateReplayBar(replayer.currentTime, replayer.duration);
+    }
+
+    /**
+     * Jump to a point in the replay
+     * @param {number} fraction - Position between 0 (start) and 1 (end)
+     */
+    seekReplay(fraction) {
+        const replayer = this.state.replayer;
+        if (!replayer) return;
+
+        replayer.pause();
+        replayer.seek(fraction * replayer.duration);
+    }
+
+    /**
+     * Load a catalog model for the replay
+     * @returns {Promise<THREE.Object3D|null>}
+     */
+    async _createReplayObject(modelId) {
+        const modelDef = this.config.models?.find(entry => entry.id === modelId);
+        if (!modelDef?.available) return null;
+
+        const { model } = await this.state.modelCache.instantiate(modelDef);
+        return model;
+    }
+
+    /**
+     * Record the current frame while a trace is being recorded
+     */
+    _recordFrame(timestamp, frame) {
+        const recorder = this.state.sessionRecorder;
+        if (!recorder.isRecording()) return;
+
+        recorder.recordFrame(timestamp, {
+            viewerPose: frame.getViewerPose(this.state.xrReferenceSpace),
+            hitPose: this._getReticlePose(),
+            objects: this.state.placedObjects
+        });
+    }
+
+    /**
+     * Reflect the recording state on the record button
+     */
+    _updateRecordButton() {
+        document.getElementById('record-btn')?.classList.toggle('active', this.isRecording());
+    }
+
+    /**
+     * Update replay controls
+     * @param {number|null} time - Current replay time (ms), or null to hide the controls
+     * @param {number} duration - Replay duration (ms)
+     */
+    _updateReplayBar(time, duration = 0) {
+        const bar = document.getElementById('replay-bar');
+        if (!bar) return;
+
+        bar.hidden = time === null;
+        if (time === null) return;
+
+        const scrubber = document.getElementById('replay-scrubber');
+        if (scrubber) {
+            scrubber.value = duration > 0 ? Math.round((time / duration) * 1000) : 0;
+        }
+
+        const label = document.getElementById('replay-time');
+        if (label) {
+            label.textContent = `${(time / 1000).toFixed(1)}s / ${(duration / 1000).toFixed(1)}s`;
+        }
+
+        const playButton = document.getElementById('replay-play-btn');
+        if (playButton) {
+            playButton.textContent = this.state.replayer?.isPlaying() ? '⏸️' : '▶️';
         }
-        
-        const radians = THREE.MathUtils.degToRad(degrees);
-        this.state.activeObject.rotateY(radians);
-        this._showNotification(`Rotated ${degrees}°`, 1000);
     }
 
     /**
@@ -905,25 +2985,33 @@ class ARManager {
 
         const currentModel = this.config.models[this.config.currentModelIndex].name;
         const scale = this.state.activeObject?.userData?.scale || this.state.currentScale;
+        const dimensions = this.state.activeObject ? this.getObjectDimensions(this.state.activeObject) : null;
 
-        this._updateModelInfoText(currentModel, scale, this.state.placedObjects.length);
+        this._updateModelInfoText(currentModel, scale, this.state.placedObjects.length, dimensions);
     }
 
     /**
      * Update model info text elements
      */
-    _updateModelInfoText(modelName, scale, objectCount) {
+    _updateModelInfoText(modelName, scale, objectCount, dimensions = null) {
         const modelNameSpan = document.getElementById('current-model-name');
         const scaleSpan = document.getElementById('current-scale');
+        const dimensionsSpan = document.getElementById('current-dimensions');
         
         if (modelNameSpan) modelNameSpan.textContent = modelName;
-        if (scaleSpan) scaleSpan.textContent = `${scale.toFixed(2)}x`;
+        if (scaleSpan) {
+            scaleSpan.textContent = this.state.trueScaleLock ? `${scale.toFixed(2)}x (1:1)` : `${scale.toFixed(2)}x`;
+        }
+        if (dimensionsSpan) {
+            dimensionsSpan.textContent = dimensions ? this._formatDimensions(dimensions) : '-';
+        }
 
         // Update state
         this.state.modelInfo = {
             name: modelName,
             scale: scale,
-            objectCount: objectCount
+            objectCount: objectCount,
+            dimensions
         };
     }
 
@@ -1069,17 +3157,12 @@ class ARManager {
                 };
             }
 
-            const tracker = this.state.performanceTracker;
-            const currentTime = performance.now();
+            const report = this.state.performanceTracker.buildReport();
+            report.session = { ...report.session, ...this._generateSessionInfo() };
+            report.device = { ...report.device, ...this._generateHardwareInfo() };
+            report.ar = this._generateARMetrics();
 
-            return {
-                metadata: this._generateReportMetadata(tracker),
-                hardware: this._generateHardwareInfo(),
-                performance: this._generatePerformanceMetrics(tracker),
-                arStatus: this._generateARMetrics(),
-                objectTimings: tracker.getAllObjectTimings?.() || {},
-                session: this._generateSessionInfo(currentTime, tracker)
-            };
+            return PerformanceReport.assertValid(report);
 
         } catch (error) {
             console.error('Failed to generate performance report:', error);
@@ -1091,53 +3174,16 @@ class ARManager {
     }
 
     /**
-     * Generate report metadata
-     * @param {Object} tracker - Performance tracker instance
-     * @returns {Object} - Report metadata
-     */
-    _generateReportMetadata(tracker) {
-        return {
-            timestamp: new Date().toISOString(),
-            sessionId: tracker.metrics?.sessionId || 'unknown',
-            version: '1.0.0',
-            userAgent: navigator.userAgent
-        };
-    }
-
-    /**
-     * Generate hardware information
+     * Generate hardware details the tracker does not know about
      * @returns {Object} - Hardware details
      */
     _generateHardwareInfo() {
         return {
-            gpu: this.state.performanceTracker?.metrics?.gpuInfo || 'Unknown',
-            devicePixelRatio: window.devicePixelRatio || 1,
-            screenResolution: `${window.screen.width}x${window.screen.height}`,
             viewport: `${window.innerWidth}x${window.innerHeight}`,
             platform: navigator.platform || 'Unknown'
         };
     }
 
-    /**
-     * Generate performance metrics
-     * @param {Object} tracker - Performance tracker instance
-     * @returns {Object} - Performance metrics
-     */
-    _generatePerformanceMetrics(tracker) {
-        const metrics = tracker.metrics || {};
-        
-        return {
-            fps: metrics.fps || 0,
-            avgLatency: parseFloat((metrics.latency || 0).toFixed(2)),
-            memoryUsage: metrics.memory || 0,
-            cpuUsage: parseFloat((metrics.cpuUsage || 0).toFixed(1)),
-            gpuUsage: parseFloat((metrics.gpuUsage || 0).toFixed(1)),
-            frameCount: metrics.totalFrames || 0,
-            droppedFrames: metrics.droppedFrames || 0,
-            renderTime: metrics.renderTime || 0
-        };
-    }
-
     /**
      * Generate AR-specific metrics
      * @returns {Object} - AR status metrics
@@ -1149,28 +3195,25 @@ class ARManager {
             objectsPlaced: this.state.placedObjects.length,
             activeModel: currentModel?.name || 'None',
             currentScale: this.state.currentScale,
-            surfacesDetected: this.state.xrHitTestResults?.length || 0,
+            lightEstimation: this.state.lightEstimator?.isActive() ? 'estimated' :
+                (this.state.lightingOverride ? 'manual' : 'default'),
+            lightEstimate: this.state.lightEstimator?.lastEstimate || null,
+            depthOcclusion: this.state.depthOcclusion?.getMode() || 'off',
+            occlusionQuality: this.config.occlusionQuality,
             sessionActive: !!this.state.xrSession,
-            trackingQuality: this.state.reticle?.visible ? 'Good' : 'Poor',
             isInAR: this.state.isInAR
         };
     }
 
     /**
      * Generate session information
-     * @param {number} currentTime - Current timestamp
-     * @param {Object} tracker - Performance tracker instance
      * @returns {Object} - Session information
      */
-    _generateSessionInfo(currentTime, tracker) {
-        const startTime = tracker.metrics?.startTime || currentTime;
-        const elapsedTime = ((currentTime - startTime) / 1000).toFixed(1);
-        
+    _generateSessionInfo() {
         return {
-            elapsedTime: parseFloat(elapsedTime),
-            startTime: new Date(startTime).toISOString(),
             initialized: this.state.isInitialized,
-            arSupported: this.state.isArSupported
+            arSupported: this.state.isArSupported,
+            viewerMode: this.state.isViewerMode
         };
     }
 
@@ -1214,6 +3257,7 @@ class ARManager {
             'ar-session-start': 'Unable to start AR session. Check camera permissions.',
             'capture-view': 'Screenshot failed. Please try again.',
             'model-load': 'Failed to load 3D model. Check your connection.',
+            'model-catalog': 'Failed to load model catalog.',
             'permission': 'Camera permission required for AR experience.'
         };
 
@@ -1227,24 +3271,22 @@ class ARManager {
      */
     _reportErrorToService(error, context) {
         // Only report in production and if tracking is enabled
-        if (this.config.performanceMonitoring && this.config.performanceOptions?.reportURL) {
+        if (this.config.performanceMonitoring && this.state.performanceTracker) {
             try {
-                // Prepare error data
-                const errorData = {
+                const report = PerformanceReport.create('error', {
+                    sessionId: this.state.performanceTracker.sessionId,
                     timestamp: new Date().toISOString(),
-                    context,
-                    message: error.message,
-                    stack: error.stack,
-                    userAgent: navigator.userAgent,
-                    url: window.location.href
-                };
+                    device: { userAgent: navigator.userAgent },
+                    error: {
+                        context,
+                        message: error.message || String(error),
+                        stack: error.stack || null,
+                        url: window.location.href
+                    }
+                });
 
-                // Send asynchronously without blocking
-                fetch(this.config.performanceOptions.reportURL, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ type: 'error', data: errorData })
-                }).catch(console.warn); // Silently fail
+                // Delivered asynchronously through the tracker's report transports
+                this.state.performanceTracker.sendReport(report);
 
             } catch (reportError) {
                 console.warn('Failed to report error to service:', reportError);
@@ -1253,7 +3295,8 @@ class ARManager {
     }
 
     /**
-     * Update lighting with validation and performance tracking
+     * Update lighting with validation and performance tracking. Manual values
+     * override estimated lighting until clearLightingOverride() is called.
      * @param {number} ambientIntensity - Ambient light intensity (0-1)
      * @param {number} directionalIntensity - Directional light intensity (0-1)
      */
@@ -1265,8 +3308,11 @@ class ARManager {
             const ambient = Math.max(0, Math.min(1, ambientIntensity));
             const directional = Math.max(0, Math.min(1, directionalIntensity));
 
+            this.state.lightingOverride = { ambient, directional };
+            this.state.lightEstimator?.setSuspended(true);
+
             // Update lights
-            const lightsUpdated = this._updateSceneLights(ambient, directional);
+            const lightsUpdated = this._resetSceneLights();
             
             if (lightsUpdated > 0) {
                 this._showNotification(`Lighting updated (${lightsUpdated} lights)`, 1500);
@@ -1280,6 +3326,36 @@ class ARManager {
         }
     }
 
+    /**
+     * Return lighting control to light estimation (or the configured defaults)
+     */
+    clearLightingOverride() {
+        this.state.lightingOverride = null;
+        this.state.lightEstimator?.setSuspended(false);
+        this._resetSceneLights();
+
+        this._trackEvent('lighting-override-cleared');
+        this._showNotification(this.state.lightEstimationSupported ?
+            'Using estimated lighting' : 'Using default lighting', 1500);
+    }
+
+    /**
+     * Put the fixed lights back to the configured setup or the manual override
+     * @returns {number} - Number of lights updated
+     */
+    _resetSceneLights() {
+        const { ambient, directional } = this.config.lighting;
+        const override = this.state.lightingOverride;
+
+        this.state.directionalLight?.position.set(...directional.position);
+        this.state.directionalLight?.color.set(directional.color);
+        this.state.ambientLight?.color.set(ambient.color);
+        return this._updateSceneLights(
+            override ? override.ambient : ambient.intensity,
+            override ? override.directional : directional.intensity
+        );
+    }
+
     /**
      * Update scene lights
      * @param {number} ambient - Ambient intensity
@@ -1352,7 +3428,7 @@ class ARManager {
      */
     _generateExportFilename(report) {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const sessionId = report.metadata?.sessionId || 'unknown';
+        const sessionId = report.sessionId || 'unknown';
         return `ar-performance-${sessionId}-${timestamp}.json`;
     }
 
@@ -1388,6 +3464,7 @@ class ARManager {
             if (this.state.notificationTimeout) {
                 clearTimeout(this.state.notificationTimeout);
             }
+            this._saveScene();
 
             // End AR session
             if (this.state.xrSession) {
@@ -1401,10 +3478,18 @@ class ARManager {
 
             // Remove event listeners
             window.removeEventListener('resize', this._handleWindowResize);
+            window.removeEventListener('pagehide', this._saveScene);
             window.removeEventListener('error', this._trackError);
             window.removeEventListener('unhandledrejection', this._trackError);
 
             // Dispose Three.js resources
+            this.state.measurementTool?.dispose();
+            this.state.planeTracker?.dispose();
+            this.state.lightEstimator?.dispose();
+            this.state.contactShadows?.dispose();
+            this.state.depthOcclusion?.dispose();
+            this.state.viewer?.dispose();
+            this.state.replayer?.dispose();
             this._disposeThreeJS();
 
             // Clear state
@@ -1427,6 +3512,9 @@ class ARManager {
                 this._disposeObject(obj);
             });
 
+            // Dispose cached model templates
+            this.state.modelCache?.dispose();
+
             // Dispose renderer
             if (this.state.renderer) {
                 this.state.renderer.dispose();
@@ -0,0 +1,101 @@
+/**
+ * Command History for WebXR World-Locked AR Experience
+ * Bounded undo/redo stack of scene edits. Commands are recorded after they
+ * have been applied and provide their own undo() and redo() functions.
+ */
+class CommandHistory {
+    constructor(options = {}) {
+        this.options = {
+            maxDepth: 50,
+            onChange: null,
+            ...options
+        };
+
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Record an already applied command
+     * @param {Object} command - { name, undo(), redo() }
+     */
+    push(command) {
+        this.undoStack.push(command);
+        this.redoStack = [];
+
+        if (this.undoStack.length > this.options.maxDepth) {
+            this.undoStack.shift();
+        }
+
+        this._notifyChange();
+    }
+
+    /**
+     * Revert the most recent command
+     * @returns {Object|null} - Reverted command
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        command.undo();
+        this.redoStack.push(command);
+        this._notifyChange();
+        return command;
+    }
+
+    /**
+     * Re-apply the most recently reverted command
+     * @returns {Object|null} - Re-applied command
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        command.redo();
+        this.undoStack.push(command);
+        this._notifyChange();
+        return command;
+    }
+
+    /**
+     * Whether there is something to undo
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Whether there is something to redo
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Drop all recorded commands
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this._notifyChange();
+    }
+
+    /**
+     * Notify listener about stack changes
+     * @private
+     */
+    _notifyChange() {
+        this.options.onChange?.({
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoName: this.undoStack[this.undoStack.length - 1]?.name || null,
+            redoName: this.redoStack[this.redoStack.length - 1]?.name || null
+        });
+    }
+}
+
+// Export to global scope
+window.CommandHistory = CommandHistory;
@@ -0,0 +1,189 @@
+/**
+ * Contact Shadows for WebXR World-Locked AR Experience
+ * Grounds placed objects with a shadow-catcher plane at their base that only
+ * shows the shadow, or a baked blob shadow on low-end devices
+ */
+class ContactShadows {
+    constructor(options = {}) {
+        this.options = {
+            scene: null,
+            renderer: null,
+            enabled: true,
+            mode: 'auto', // 'auto' | 'shadow' | 'blob'
+            shadowOpacity: 0.35,
+            blobOpacity: 0.55,
+            // Catcher size relative to the footprint; real shadows reach past the base
+            shadowPadding: 3,
+            blobPadding: 1.3,
+            // Lift above the surface to avoid z-fighting with it
+            lift: 0.002,
+            ...options
+        };
+
+        this.enabled = this.options.enabled;
+        this.mode = this.options.mode === 'auto' ?
+            (ContactShadows.isLowEndDevice() ? 'blob' : 'shadow') :
+            this.options.mode;
+
+        // Map of object -> { mesh, footprint }
+        this.shadows = new Map();
+        this.geometry = new THREE.PlaneGeometry(1, 1).rotateX(-Math.PI / 2);
+        this.material = this.mode === 'blob' ? this._createBlobMaterial() :
+            new THREE.ShadowMaterial({ opacity: this.options.shadowOpacity, depthWrite: false });
+
+        // Blob shadows make the shadow map pass unnecessary
+        if (this.mode === 'blob' && this.options.renderer) {
+            this.options.renderer.shadowMap.enabled = false;
+        }
+    }
+
+    /**
+     * Whether the device should use cheap blob shadows
+     * @returns {boolean}
+     */
+    static isLowEndDevice() {
+        const memory = navigator.deviceMemory;
+        const cores = navigator.hardwareConcurrency;
+        return (memory !== undefined && memory <= 3) || (cores !== undefined && cores <= 4);
+    }
+
+    /**
+     * Add a contact shadow under an object
+     * @param {THREE.Object3D} object - Placed object resting on a floor
+     */
+    add(object) {
+        if (this.shadows.has(object)) return;
+
+        const mesh = new THREE.Mesh(this.geometry, this.material);
+        mesh.name = 'contact-shadow';
+        mesh.renderOrder = -1;
+        mesh.receiveShadow = this.mode === 'shadow';
+        mesh.visible = false;
+
+        if (this.mode === 'shadow') {
+            object.traverse(child => {
+                if (child.isMesh) child.castShadow = true;
+            });
+        }
+
+        this.shadows.set(object, { mesh, footprint: this._measureFootprint(object) });
+        this.options.scene?.add(mesh);
+    }
+
+    /**
+     * Remove the contact shadow of an object
+     * @param {THREE.Object3D} object - Placed object
+     */
+    remove(object) {
+        const entry = this.shadows.get(object);
+        if (!entry) return;
+
+        this.options.scene?.remove(entry.mesh);
+        this.shadows.delete(object);
+    }
+
+    /**
+     * Follow objects through drag, rotation and scale
+     */
+    update() {
+        this.shadows.forEach((entry, object) => {
+            // Objects taken out of the scene (removed or undone) lose their shadow
+            if (!object.parent) {
+                this.remove(object);
+                return;
+            }
+
+            const { mesh, footprint } = entry;
+            mesh.visible = this.enabled && object.visible;
+            if (!mesh.visible) return;
+
+            const padding = this.mode === 'blob' ? this.options.blobPadding : this.options.shadowPadding;
+            const yaw = new THREE.Euler().setFromQuaternion(object.quaternion, 'YXZ').y;
+
+            mesh.position.copy(footprint.center).multiply(object.scale)
+                .applyQuaternion(object.quaternion)
+                .add(object.position);
+            mesh.position.y += this.options.lift;
+            mesh.rotation.set(0, yaw, 0);
+            mesh.scale.set(
+                footprint.width * object.scale.x * padding,
+                1,
+                footprint.depth * object.scale.z * padding
+            );
+        });
+    }
+
+    /**
+     * Show or hide all contact shadows
+     * @param {boolean} enabled - Whether shadows are shown
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.update();
+    }
+
+    /**
+     * Remove all shadows and release GPU resources
+     */
+    dispose() {
+        [...this.shadows.keys()].forEach(object => this.remove(object));
+        this.geometry.dispose();
+        this.material.map?.dispose();
+        this.material.dispose();
+    }
+
+    /**
+     * Footprint of an object in its own unscaled, unrotated frame
+     * @private
+     * @returns {Object} - { center (bottom center), width, depth }
+     */
+    _measureFootprint(object) {
+        const position = object.position.clone();
+        const quaternion = object.quaternion.clone();
+        const scale = object.scale.clone();
+
+        object.position.set(0, 0, 0);
+        object.quaternion.identity();
+        object.scale.set(1, 1, 1);
+        object.updateMatrixWorld(true);
+        const bounds = new THREE.Box3().setFromObject(object);
+
+        object.position.copy(position);
+        object.quaternion.copy(quaternion);
+        object.scale.copy(scale);
+        object.updateMatrixWorld(true);
+
+        const center = bounds.getCenter(new THREE.Vector3());
+        center.y = bounds.min.y;
+        const size = bounds.getSize(new THREE.Vector3());
+
+        return { center, width: size.x, depth: size.z };
+    }
+
+    /**
+     * Transparent material with a baked radial falloff
+     * @private
+     */
+    _createBlobMaterial() {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 128;
+
+        const context = canvas.getContext('2d');
+        const gradient = context.createRadialGradient(64, 64, 0, 64, 64, 64);
+        gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+        gradient.addColorStop(0.5, 'rgba(0, 0, 0, 0.6)');
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, 128, 128);
+
+        return new THREE.MeshBasicMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            transparent: true,
+            opacity: this.options.blobOpacity,
+            depthWrite: false
+        });
+    }
+}
+
+// Export to global scope
+window.ContactShadows = ContactShadows;
@@ -0,0 +1,313 @@
+/**
+ * Depth Occlusion for WebXR World-Locked AR Experience
+ * Hides virtual fragments that are behind real surfaces using the WebXR
+ * depth-sensing feature, from either the CPU or the GPU depth buffer
+ */
+class DepthOcclusion {
+    constructor(options = {}) {
+        this.options = {
+            renderer: null,
+            // 'quality' filters every frame, 'performance' samples once and
+            // refreshes CPU depth every other frame, 'off' disables occlusion
+            quality: 'quality',
+            // Real surfaces must be this much closer before a fragment is hidden (meters)
+            tolerance: 0.02,
+            ...options
+        };
+
+        this.quality = this.options.quality;
+        this.session = null;
+        this.usage = null; // 'cpu-optimized' | 'gpu-optimized'
+        this.dataFormat = null; // 'luminance-alpha' | 'float32'
+        this.glBinding = null;
+        this.cpuTexture = null;
+        this.gpuTexture = null;
+        this.frameIndex = 0;
+
+        // Shared by every patched material
+        this.uniforms = {
+            uDepthEnabled: { value: false },
+            uDepthTexture: { value: null },
+            uDepthUvTransform: { value: new THREE.Matrix4() },
+            uDepthRawToMeters: { value: 0.001 },
+            uDepthFloat: { value: false },
+            uDepthViewport: { value: new THREE.Vector4(0, 0, 1, 1) },
+            uDepthTolerance: { value: this.options.tolerance },
+            uDepthSoft: { value: this.quality === 'quality' }
+        };
+    }
+
+    /**
+     * Quality that follows the given one when cycling through settings
+     * @param {string} quality - Current quality
+     * @returns {string} - Next quality
+     */
+    static nextQuality(quality) {
+        const index = DepthOcclusion.QUALITIES.indexOf(quality);
+        return DepthOcclusion.QUALITIES[(index + 1) % DepthOcclusion.QUALITIES.length];
+    }
+
+    /**
+     * Start using depth data of a session
+     * @param {XRSession} session - Active AR session with depth-sensing enabled
+     * @returns {boolean} - Whether depth data is usable
+     */
+    attach(session) {
+        this.session = session;
+        this.usage = session.depthUsage || null;
+        this.dataFormat = session.depthDataFormat || null;
+
+        if (this.usage === 'gpu-optimized') {
+            try {
+                this.glBinding = new XRWebGLBinding(session, this.options.renderer.getContext());
+            } catch (error) {
+                console.warn('GPU depth unavailable:', error);
+                this.detach();
+                return false;
+            }
+        } else if (this.usage !== 'cpu-optimized') {
+            this.detach();
+            return false;
+        }
+
+        this.uniforms.uDepthFloat.value = this.dataFormat === 'float32';
+        return true;
+    }
+
+    /**
+     * Stop occluding and release depth textures
+     */
+    detach() {
+        this.session = null;
+        this.usage = null;
+        this.glBinding = null;
+        this.uniforms.uDepthEnabled.value = false;
+        this.uniforms.uDepthTexture.value = null;
+
+        this.cpuTexture?.dispose();
+        this.cpuTexture = null;
+        if (this.gpuTexture) {
+            // The GL texture belongs to the XR session, so only forget the wrapper
+            this.options.renderer.properties.remove(this.gpuTexture);
+            this.gpuTexture = null;
+        }
+    }
+
+    /**
+     * Whether occlusion is applied this frame
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.uniforms.uDepthEnabled.value;
+    }
+
+    /**
+     * Depth path in use
+     * @returns {string} - 'cpu', 'gpu' or 'off'
+     */
+    getMode() {
+        if (!this.session || this.quality === 'off') return 'off';
+        return this.usage === 'gpu-optimized' ? 'gpu' : 'cpu';
+    }
+
+    /**
+     * Switch between 'quality', 'performance' and 'off'
+     * @param {string} quality - Occlusion quality
+     */
+    setQuality(quality) {
+        this.quality = quality;
+        this.uniforms.uDepthSoft.value = quality === 'quality';
+        if (quality === 'off') {
+            this.uniforms.uDepthEnabled.value = false;
+        }
+    }
+
+    /**
+     * Refresh depth data for the current frame
+     * @param {XRFrame} frame - Current XR frame
+     * @param {XRReferenceSpace} referenceSpace - World reference space
+     */
+    update(frame, referenceSpace) {
+        if (!this.session || this.quality === 'off') return;
+
+        const view = frame.getViewerPose(referenceSpace)?.views[0];
+        if (!view) return;
+
+        this.frameIndex++;
+        const depthInfo = this.usage === 'gpu-optimized' ?
+            this.glBinding.getDepthInformation(view) :
+            this._shouldRefreshCPUDepth() ? frame.getDepthInformation(view) : undefined;
+
+        // Skipped CPU frames keep the previous texture
+        if (depthInfo === undefined) return;
+
+        if (!depthInfo) {
+            this.uniforms.uDepthEnabled.value = false;
+            return;
+        }
+
+        this.uniforms.uDepthTexture.value = this.usage === 'gpu-optimized' ?
+            this._wrapGPUTexture(depthInfo) :
+            this._uploadCPUDepth(depthInfo);
+        this.uniforms.uDepthUvTransform.value.fromArray(depthInfo.normDepthBufferFromNormView.matrix);
+        this.uniforms.uDepthRawToMeters.value = depthInfo.rawValueToMeters;
+
+        const viewport = this.session.renderState.baseLayer?.getViewport(view);
+        if (viewport) {
+            this.uniforms.uDepthViewport.value.set(viewport.x, viewport.y, viewport.width, viewport.height);
+        }
+
+        this.uniforms.uDepthEnabled.value = true;
+    }
+
+    /**
+     * Patch the materials of an object so its fragments are occluded by real geometry
+     * @param {THREE.Object3D} object - Placed object
+     */
+    applyTo(object) {
+        object.traverse(child => {
+            if (!child.isMesh) return;
+
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => this._patchMaterial(material));
+        });
+    }
+
+    /**
+     * Release GPU resources
+     */
+    dispose() {
+        this.detach();
+    }
+
+    /**
+     * Whether CPU depth is read this frame
+     * @private
+     */
+    _shouldRefreshCPUDepth() {
+        return this.quality !== 'performance' || this.frameIndex % 2 === 0;
+    }
+
+    /**
+     * Copy CPU depth data into a texture
+     * @private
+     */
+    _uploadCPUDepth(depthInfo) {
+        const { width, height } = depthInfo;
+        const isFloat = this.dataFormat === 'float32';
+
+        if (!this.cpuTexture || this.cpuTexture.image.width !== width || this.cpuTexture.image.height !== height) {
+            this.cpuTexture?.dispose();
+            this.cpuTexture = new THREE.DataTexture(
+                isFloat ? new Float32Array(width * height) : new Uint8Array(width * height * 2),
+                width,
+                height,
+                isFloat ? THREE.LuminanceFormat : THREE.LuminanceAlphaFormat,
+                isFloat ? THREE.FloatType : THREE.UnsignedByteType
+            );
+            // Interpolating packed bytes would corrupt the 16-bit values
+            this.cpuTexture.magFilter = THREE.NearestFilter;
+            this.cpuTexture.minFilter = THREE.NearestFilter;
+        }
+
+        const source = isFloat ? new Float32Array(depthInfo.data) : new Uint8Array(depthInfo.data);
+        this.cpuTexture.image.data.set(source);
+        this.cpuTexture.needsUpdate = true;
+        return this.cpuTexture;
+    }
+
+    /**
+     * Point a three.js texture at the session's GPU depth texture
+     * @private
+     */
+    _wrapGPUTexture(depthInfo) {
+        if (!this.gpuTexture) {
+            this.gpuTexture = new THREE.Texture();
+        }
+
+        // three.js has no public API to adopt an external GL texture
+        const properties = this.options.renderer.properties.get(this.gpuTexture);
+        properties.__webglTexture = depthInfo.texture;
+        properties.__webglInit = true;
+        return this.gpuTexture;
+    }
+
+    /**
+     * Inject the depth test into a material's shaders
+     * @private
+     */
+    _patchMaterial(material) {
+        if (material.userData.depthOcclusion) return;
+        material.userData.depthOcclusion = true;
+
+        const previousOnBeforeCompile = material.onBeforeCompile;
+        material.onBeforeCompile = (shader, renderer) => {
+            previousOnBeforeCompile?.call(material, shader, renderer);
+            Object.assign(shader.uniforms, this.uniforms);
+
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', '#include <common>\nvarying float vOcclusionDepth;')
+                .replace('#include <project_vertex>', '#include <project_vertex>\nvOcclusionDepth = -mvPosition.z;');
+
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', `#include <common>\n${DepthOcclusion.FRAGMENT_HEAD}`)
+                .replace('#include <dithering_fragment>', `#include <dithering_fragment>\n${DepthOcclusion.FRAGMENT_TEST}`);
+        };
+
+        const previousCacheKey = material.customProgramCacheKey?.bind(material);
+        material.customProgramCacheKey = () => `${previousCacheKey?.() || ''}depth-occlusion`;
+        material.needsUpdate = true;
+    }
+}
+
+DepthOcclusion.QUALITIES = ['quality', 'performance', 'off'];
+
+DepthOcclusion.FRAGMENT_HEAD = `
+varying float vOcclusionDepth;
+uniform bool uDepthEnabled;
+uniform sampler2D uDepthTexture;
+uniform mat4 uDepthUvTransform;
+uniform float uDepthRawToMeters;
+uniform bool uDepthFloat;
+uniform vec4 uDepthViewport;
+uniform float uDepthTolerance;
+uniform bool uDepthSoft;
+
+float readRealDepth(vec2 screenUv) {
+    vec2 depthUv = (uDepthUvTransform * vec4(screenUv, 0.0, 1.0)).xy;
+    vec4 texel = texture2D(uDepthTexture, depthUv);
+    // Luminance-alpha packs a 16-bit value as low byte / high byte
+    float raw = uDepthFloat ? texel.r : dot(texel.ra, vec2(255.0, 255.0 * 256.0));
+    return raw * uDepthRawToMeters;
+}
+
+float occlusionAt(vec2 screenUv) {
+    float realDepth = readRealDepth(screenUv);
+    return (realDepth > 0.0 && realDepth < vOcclusionDepth - uDepthTolerance) ? 1.0 : 0.0;
+}
+`;
+
+DepthOcclusion.FRAGMENT_TEST = `
+if (uDepthEnabled) {
+    // Normalized view coordinates have their origin at the top left
+    vec2 screenUv = (gl_FragCoord.xy - uDepthViewport.xy) / uDepthViewport.zw;
+    screenUv.y = 1.0 - screenUv.y;
+
+    float occlusion = occlusionAt(screenUv);
+    if (uDepthSoft) {
+        vec2 texelStep = 6.0 / uDepthViewport.zw;
+        occlusion = (occlusion +
+            occlusionAt(screenUv + vec2(texelStep.x, 0.0)) +
+            occlusionAt(screenUv - vec2(texelStep.x, 0.0)) +
+            occlusionAt(screenUv + vec2(0.0, texelStep.y)) +
+            occlusionAt(screenUv - vec2(0.0, texelStep.y))) / 5.0;
+    }
+
+    // Dithered discard softens edges without switching to transparent rendering
+    float threshold = fract(sin(dot(gl_FragCoord.xy, vec2(12.9898, 78.233))) * 43758.5453);
+    if (occlusion > threshold) discard;
+}
+`;
+
+// Export to global scope
+window.DepthOcclusion = DepthOcclusion;
@@ -0,0 +1,99 @@
+/**
+ * Frame Time Histogram for WebXR World-Locked AR Experience
+ * Streaming histogram of frame times over a whole session. Memory stays
+ * constant however long the session runs, and percentiles are accurate to
+ * half a bucket width.
+ */
+class FrameTimeHistogram {
+    constructor(options = {}) {
+        this.options = {
+            bucketWidth: 0.5, // ms
+            // Frame times above this share one overflow bucket (ms)
+            maxTime: 250,
+            ...options
+        };
+
+        this.bucketCount = Math.ceil(this.options.maxTime / this.options.bucketWidth);
+        // The last bucket collects everything above maxTime
+        this.buckets = new Uint32Array(this.bucketCount + 1);
+        this.reset();
+    }
+
+    /**
+     * Forget all samples
+     */
+    reset() {
+        this.buckets.fill(0);
+        this.count = 0;
+        this.sum = 0;
+        this.max = 0;
+        this.jank = FrameTimeHistogram.JANK_THRESHOLDS.map(() => 0);
+    }
+
+    /**
+     * Add one frame time
+     * @param {number} frameTime - Time since the previous frame (ms)
+     */
+    record(frameTime) {
+        if (!Number.isFinite(frameTime) || frameTime < 0) return;
+
+        const index = Math.min(Math.floor(frameTime / this.options.bucketWidth), this.bucketCount);
+        this.buckets[index]++;
+        this.count++;
+        this.sum += frameTime;
+        this.max = Math.max(this.max, frameTime);
+
+        FrameTimeHistogram.JANK_THRESHOLDS.forEach((threshold, i) => {
+            if (frameTime > threshold) this.jank[i]++;
+        });
+    }
+
+    /**
+     * Frame time below which a share of frames fall
+     * @param {number} p - Percentile (0-100)
+     * @returns {number|null} - Frame time (ms), or null without samples
+     */
+    percentile(p) {
+        if (this.count === 0) return null;
+
+        const rank = Math.max(1, Math.ceil((p / 100) * this.count));
+        let seen = 0;
+        for (let i = 0; i < this.buckets.length; i++) {
+            seen += this.buckets[i];
+            if (seen >= rank) {
+                // Overflow samples are only known by the largest of them
+                return i === this.bucketCount ? this.max : Math.min((i + 0.5) * this.options.bucketWidth, this.max);
+            }
+        }
+        return this.max;
+    }
+
+    /**
+     * Summary of the session so far
+     * @returns {Object} - { count, mean, p50, p90, p95, p99, max, jank } in ms;
+     *   jank maps each threshold to the number of frames above it
+     */
+    getStats() {
+        const jank = {};
+        FrameTimeHistogram.JANK_THRESHOLDS.forEach((threshold, i) => {
+            jank[threshold] = this.jank[i];
+        });
+
+        return {
+            count: this.count,
+            mean: this.count > 0 ? this.sum / this.count : null,
+            p50: this.percentile(50),
+            p90: this.percentile(90),
+            p95: this.percentile(95),
+            p99: this.percentile(99),
+            max: this.count > 0 ? this.max : null,
+            jank
+        };
+    }
+}
+
+// One, two and three missed frames at 60Hz (ms)
+FrameTimeHistogram.JANK_THRESHOLDS = [16.7, 33, 50];
+
+// Export to global scope
+window.FrameTimeHistogram = FrameTimeHistogram;
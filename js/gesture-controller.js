@@ -0,0 +1,260 @@
+/**
+ * Gesture Controller for WebXR World-Locked AR Experience
+ * Turns screen touches (transient XR input sources) into drag, pinch-scale
+ * and two-finger rotate gestures on the selected objects
+ */
+class GestureController {
+    constructor(options = {}) {
+        this.options = {
+            // Touches moving less than this (in view-plane units) still count as taps
+            tapMoveThreshold: 0.02,
+            inputProfile: 'generic-touchscreen',
+            canStartDrag: null,
+            onDragStart: null,
+            onDrag: null,
+            onPinch: null,
+            onTwist: null,
+            onGestureEnd: null,
+            ...options
+        };
+
+        this.session = null;
+        this.referenceSpace = null;
+        this.viewerSpace = null;
+        this.transientHitTestSource = null;
+
+        // Map of XRInputSource -> { startPoint, point }
+        this.touches = new Map();
+        this.mode = 'idle'; // 'idle' | 'drag' | 'pinch'
+        this.gestureOccurred = false;
+        this.lastDistance = 0;
+        this.lastAngle = 0;
+
+        this._onSelectStart = this._onSelectStart.bind(this);
+        this._onSelectEnd = this._onSelectEnd.bind(this);
+    }
+
+    /**
+     * Attach to an XR session
+     * @param {XRSession} session - Active AR session
+     * @param {XRReferenceSpace} referenceSpace - World reference space
+     * @param {XRReferenceSpace} viewerSpace - Viewer reference space
+     */
+    async attach(session, referenceSpace, viewerSpace) {
+        this.session = session;
+        this.referenceSpace = referenceSpace;
+        this.viewerSpace = viewerSpace;
+
+        session.addEventListener('selectstart', this._onSelectStart);
+        session.addEventListener('selectend', this._onSelectEnd);
+
+        if (session.requestHitTestSourceForTransientInput) {
+            try {
+                this.transientHitTestSource = await session.requestHitTestSourceForTransientInput({
+                    profile: this.options.inputProfile
+                });
+            } catch (error) {
+                console.warn('Transient input hit testing unavailable, dragging disabled:', error);
+            }
+        }
+    }
+
+    /**
+     * Detach from the current session
+     */
+    detach() {
+        if (this.session) {
+            this.session.removeEventListener('selectstart', this._onSelectStart);
+            this.session.removeEventListener('selectend', this._onSelectEnd);
+        }
+
+        this.transientHitTestSource?.cancel?.();
+        this.transientHitTestSource = null;
+        this.session = null;
+        this.touches.clear();
+        this.mode = 'idle';
+    }
+
+    /**
+     * Whether the current touch sequence was a gesture rather than a tap
+     * @returns {boolean}
+     */
+    isGesture() {
+        return this.gestureOccurred;
+    }
+
+    /**
+     * Update gestures for the current XR frame
+     * @param {XRFrame} frame - Current XR frame
+     */
+    update(frame) {
+        if (this.touches.size === 0) return;
+
+        this.touches.forEach((touch, inputSource) => {
+            const point = this._getViewPlanePoint(frame, inputSource);
+            if (point) touch.point = point;
+        });
+
+        if (this.touches.size >= 2) {
+            this._updatePinch();
+        } else if (this.mode === 'drag') {
+            this._updateDrag(frame);
+        } else {
+            this._checkTapMovement();
+        }
+    }
+
+    /**
+     * Handle touch start
+     * @private
+     */
+    _onSelectStart(event) {
+        const inputSource = event.inputSource;
+        if (inputSource.targetRayMode !== 'screen') return;
+
+        if (this.touches.size === 0) {
+            this.gestureOccurred = false;
+        }
+
+        const point = this._getViewPlanePoint(event.frame, inputSource);
+        this.touches.set(inputSource, { startPoint: point, point });
+
+        if (this.touches.size === 2) {
+            this._beginPinch();
+        } else if (this.touches.size === 1) {
+            const pose = event.frame?.getPose(inputSource.targetRaySpace, this.referenceSpace);
+            if (pose && this.options.canStartDrag?.(pose.transform)) {
+                this.mode = 'drag';
+                this.options.onDragStart?.();
+            }
+        }
+    }
+
+    /**
+     * Handle touch end
+     * @private
+     */
+    _onSelectEnd(event) {
+        if (!this.touches.delete(event.inputSource)) return;
+
+        if (this.touches.size === 0) {
+            if (this.mode !== 'idle') {
+                this.options.onGestureEnd?.(this.mode === 'drag' ? 'drag' : 'pinch');
+            }
+            this.mode = 'idle';
+        } else if (this.mode === 'pinch' && this.touches.size < 2) {
+            // Lifting one finger of a pinch does not turn into a drag
+            this.mode = 'pinch-ending';
+        }
+    }
+
+    /**
+     * Start a two-finger gesture
+     * @private
+     */
+    _beginPinch() {
+        this.mode = 'pinch';
+        this.gestureOccurred = true;
+
+        const [a, b] = [...this.touches.values()];
+        if (a.point && b.point) {
+            this.lastDistance = a.point.distanceTo(b.point);
+            this.lastAngle = this._angleBetween(a.point, b.point);
+        }
+    }
+
+    /**
+     * Apply pinch scale and twist rotation
+     * @private
+     */
+    _updatePinch() {
+        if (this.mode !== 'pinch') {
+            this._beginPinch();
+            return;
+        }
+
+        const [a, b] = [...this.touches.values()];
+        if (!a.point || !b.point) return;
+
+        const distance = a.point.distanceTo(b.point);
+        const angle = this._angleBetween(a.point, b.point);
+
+        if (this.lastDistance > 0 && distance > 0) {
+            const factor = distance / this.lastDistance;
+            if (Math.abs(factor - 1) > 0.001) {
+                this.options.onPinch?.(factor);
+            }
+        }
+
+        // Wrap to [-PI, PI] so crossing the atan2 seam does not spin the object
+        let deltaAngle = angle - this.lastAngle;
+        deltaAngle = Math.atan2(Math.sin(deltaAngle), Math.cos(deltaAngle));
+        if (Math.abs(deltaAngle) > 0.001) {
+            this.options.onTwist?.(deltaAngle);
+        }
+
+        this.lastDistance = distance;
+        this.lastAngle = angle;
+    }
+
+    /**
+     * Move the dragged selection to the surface under the finger
+     * @private
+     */
+    _updateDrag(frame) {
+        this._checkTapMovement();
+        if (!this.gestureOccurred || !this.transientHitTestSource) return;
+
+        const resultsBySource = frame.getHitTestResultsForTransientInput(this.transientHitTestSource);
+        const [inputSource] = this.touches.keys();
+        const entry = resultsBySource.find(result => result.inputSource === inputSource);
+        const hit = entry?.results?.[0];
+        if (!hit) return;
+
+        const pose = hit.getPose(this.referenceSpace);
+        if (pose) {
+            const { x, y, z } = pose.transform.position;
+            this.options.onDrag?.(new THREE.Vector3(x, y, z));
+        }
+    }
+
+    /**
+     * Mark the touch as a gesture once it has moved far enough
+     * @private
+     */
+    _checkTapMovement() {
+        const [touch] = this.touches.values();
+        if (!touch?.startPoint || !touch.point) return;
+
+        if (touch.startPoint.distanceTo(touch.point) > this.options.tapMoveThreshold) {
+            this.gestureOccurred = true;
+        }
+    }
+
+    /**
+     * Project a touch's target ray onto a plane one meter in front of the viewer
+     * @private
+     * @returns {THREE.Vector2|null} - Point on the view plane
+     */
+    _getViewPlanePoint(frame, inputSource) {
+        const pose = frame?.getPose(inputSource.targetRaySpace, this.viewerSpace);
+        if (!pose) return null;
+
+        const { x, y, z, w } = pose.transform.orientation;
+        const direction = new THREE.Vector3(0, 0, -1).applyQuaternion(new THREE.Quaternion(x, y, z, w));
+        if (direction.z >= 0) return null;
+
+        return new THREE.Vector2(direction.x / -direction.z, direction.y / -direction.z);
+    }
+
+    /**
+     * Screen angle of the line between two touches
+     * @private
+     */
+    _angleBetween(a, b) {
+        return Math.atan2(b.y - a.y, b.x - a.x);
+    }
+}
+
+// Export to global scope
+window.GestureController = GestureController;
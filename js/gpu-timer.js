@@ -0,0 +1,109 @@
+/**
+ * GPU Timer for WebXR World-Locked AR Experience
+ * Measures GPU time of rendered frames with EXT_disjoint_timer_query_webgl2.
+ * Results arrive a few frames late; frames whose timing was disturbed by a
+ * disjoint event (power state change, context switch) are discarded.
+ */
+class GPUTimer {
+    constructor(gl, options = {}) {
+        this.options = {
+            // Frames measured at once; frames beyond this go unmeasured
+            maxPendingQueries: 4,
+            // (gpuTimeMs) => void
+            onResult: null,
+            ...options
+        };
+
+        this.gl = gl;
+        this.ext = GPUTimer.isSupported(gl) ? gl.getExtension('EXT_disjoint_timer_query_webgl2') : null;
+        this.activeQuery = null;
+        this.pendingQueries = [];
+        this.freeQueries = [];
+    }
+
+    /**
+     * Whether a context can time GPU work
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - Context to check
+     * @returns {boolean}
+     */
+    static isSupported(gl) {
+        return !!gl &&
+            typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext &&
+            gl.getSupportedExtensions()?.includes('EXT_disjoint_timer_query_webgl2');
+    }
+
+    /**
+     * Whether the timer can measure
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return !!this.ext;
+    }
+
+    /**
+     * Start timing GPU work; call before rendering a frame
+     */
+    begin() {
+        if (!this.ext || this.activeQuery) return;
+
+        this.poll();
+        if (this.pendingQueries.length >= this.options.maxPendingQueries) return;
+
+        this.activeQuery = this.freeQueries.pop() || this.gl.createQuery();
+        this.gl.beginQuery(this.ext.TIME_ELAPSED_EXT, this.activeQuery);
+    }
+
+    /**
+     * Stop timing; the result is reported once the GPU has finished the frame
+     */
+    end() {
+        if (!this.activeQuery) return;
+
+        this.gl.endQuery(this.ext.TIME_ELAPSED_EXT);
+        this.pendingQueries.push(this.activeQuery);
+        this.activeQuery = null;
+    }
+
+    /**
+     * Collect finished measurements
+     */
+    poll() {
+        if (!this.ext || this.pendingQueries.length === 0) return;
+
+        const gl = this.gl;
+        // A disjoint event invalidates every query in flight
+        if (gl.getParameter(this.ext.GPU_DISJOINT_EXT)) {
+            this.freeQueries.push(...this.pendingQueries.splice(0));
+            return;
+        }
+
+        while (this.pendingQueries.length > 0) {
+            const query = this.pendingQueries[0];
+            if (!gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE)) break;
+
+            const nanoseconds = gl.getQueryParameter(query, gl.QUERY_RESULT);
+            this.freeQueries.push(this.pendingQueries.shift());
+            this.options.onResult?.(nanoseconds / 1e6);
+        }
+    }
+
+    /**
+     * Release all queries
+     */
+    dispose() {
+        if (!this.ext) return;
+
+        if (this.activeQuery) {
+            this.gl.endQuery(this.ext.TIME_ELAPSED_EXT);
+            this.freeQueries.push(this.activeQuery);
+            this.activeQuery = null;
+        }
+        [...this.pendingQueries, ...this.freeQueries].forEach(query => this.gl.deleteQuery(query));
+        this.pendingQueries = [];
+        this.freeQueries = [];
+        this.ext = null;
+    }
+}
+
+// Export to global scope
+window.GPUTimer = GPUTimer;
@@ -0,0 +1,149 @@
+/**
+ * Layout Constraints for WebXR World-Locked AR Experience
+ * Keeps placed objects from interpenetrating and offers rotation and
+ * edge snapping when objects are placed, dragged or rotated
+ */
+class LayoutConstraints {
+    constructor(options = {}) {
+        this.options = {
+            preventOverlap: true,
+            snapRotation: false,
+            rotationStep: 15, // degrees
+            snapToEdges: false,
+            edgeSnapDistance: 0.05, // meters
+            // Only neighbors this close are considered for edge snapping
+            neighborRange: 0.5,
+            // Boxes may touch or overlap by this much, so edge-snapped objects are not collisions
+            tolerance: 0.005,
+            maxPushIterations: 4,
+            ...options
+        };
+    }
+
+    /**
+     * Adjust a translation so the moving objects do not overlap obstacles,
+     * snapping to neighboring edges when enabled
+     * @param {Array<THREE.Object3D>} moving - Objects being moved together
+     * @param {THREE.Vector3} offset - Requested translation
+     * @param {Array<THREE.Object3D>} obstacles - Objects that must not be overlapped
+     * @returns {Object} - { offset, blockedBy }; offset is null when no free spot was found
+     */
+    constrainMove(moving, offset, obstacles) {
+        const adjusted = offset.clone();
+        const movingBox = this.getBounds(moving);
+        if (movingBox.isEmpty()) return { offset: adjusted, blockedBy: [] };
+
+        const obstacleBoxes = obstacles
+            .map(object => ({ object, box: this.getBounds([object]) }))
+            .filter(({ box }) => !box.isEmpty());
+
+        if (this.options.snapToEdges) {
+            const candidate = movingBox.clone().translate(adjusted);
+            adjusted.add(this._getEdgeSnap(candidate, obstacleBoxes));
+        }
+
+        if (!this.options.preventOverlap) return { offset: adjusted, blockedBy: [] };
+
+        const blockedBy = new Set();
+
+        for (let i = 0; i < this.options.maxPushIterations; i++) {
+            const candidate = this._shrink(movingBox.clone().translate(adjusted));
+            const collision = obstacleBoxes.find(({ box }) => this._shrink(box.clone()).intersectsBox(candidate));
+            if (!collision) {
+                return { offset: adjusted, blockedBy: [...blockedBy] };
+            }
+
+            // Slide out of the obstacle along the shortest horizontal direction
+            blockedBy.add(collision.object);
+            adjusted.add(this._getSeparation(movingBox.clone().translate(adjusted), collision.box));
+        }
+
+        return { offset: null, blockedBy: [...blockedBy] };
+    }
+
+    /**
+     * Snap an angle to the configured rotation step
+     * @param {number} radians - Angle
+     * @returns {number} - Snapped angle, or the input when snapping is off
+     */
+    snapAngle(radians) {
+        if (!this.options.snapRotation) return radians;
+
+        const step = THREE.MathUtils.degToRad(this.options.rotationStep);
+        return Math.round(radians / step) * step;
+    }
+
+    /**
+     * World-space bounding box of a set of objects
+     * @param {Array<THREE.Object3D>} objects - Objects
+     * @returns {THREE.Box3} - Combined bounds
+     */
+    getBounds(objects) {
+        const bounds = new THREE.Box3();
+        objects.forEach(object => {
+            object.updateMatrixWorld(true);
+            bounds.union(new THREE.Box3().setFromObject(object));
+        });
+        return bounds;
+    }
+
+    /**
+     * Translation that aligns the box with the closest neighboring edge on X and Z
+     * @private
+     */
+    _getEdgeSnap(box, obstacleBoxes) {
+        const correction = new THREE.Vector3();
+        const searchBox = box.clone().expandByScalar(this.options.neighborRange);
+        const neighbors = obstacleBoxes.filter(({ box: other }) => other.intersectsBox(searchBox));
+
+        ['x', 'z'].forEach(axis => {
+            let best = null;
+
+            neighbors.forEach(({ box: other }) => {
+                // Touching either side, or flush with either side
+                [
+                    other.max[axis] - box.min[axis],
+                    other.min[axis] - box.max[axis],
+                    other.min[axis] - box.min[axis],
+                    other.max[axis] - box.max[axis]
+                ].forEach(distance => {
+                    if (Math.abs(distance) <= this.options.edgeSnapDistance &&
+                        (best === null || Math.abs(distance) < Math.abs(best))) {
+                        best = distance;
+                    }
+                });
+            });
+
+            if (best !== null) correction[axis] = best;
+        });
+
+        return correction;
+    }
+
+    /**
+     * Shortest horizontal translation that moves the box out of the obstacle
+     * @private
+     */
+    _getSeparation(box, obstacle) {
+        const options = [
+            new THREE.Vector3(obstacle.max.x - box.min.x, 0, 0),
+            new THREE.Vector3(obstacle.min.x - box.max.x, 0, 0),
+            new THREE.Vector3(0, 0, obstacle.max.z - box.min.z),
+            new THREE.Vector3(0, 0, obstacle.min.z - box.max.z)
+        ];
+
+        return options.reduce((shortest, option) =>
+            option.lengthSq() < shortest.lengthSq() ? option : shortest);
+    }
+
+    /**
+     * Shrink a box by the contact tolerance
+     * @private
+     */
+    _shrink(box) {
+        return box.expandByScalar(-this.options.tolerance);
+    }
+}
+
+// Export to global scope
+window.LayoutConstraints = LayoutConstraints;
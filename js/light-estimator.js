@@ -0,0 +1,192 @@
+/**
+ * Light Estimator for WebXR World-Locked AR Experience
+ * Drives scene lighting from the WebXR light-estimation feature: spherical
+ * harmonics feed a light probe, the primary light steers the directional
+ * light and the reflection cube map becomes the scene environment map
+ */
+class LightEstimator {
+    constructor(options = {}) {
+        this.options = {
+            renderer: null,
+            scene: null,
+            ambientLight: null,
+            directionalLight: null,
+            // Distance of the directional light from the origin, matching the shadow camera setup
+            lightDistance: 5,
+            ...options
+        };
+
+        this.session = null;
+        this.referenceSpace = null;
+        this.probe = null;
+        this.glBinding = null;
+        this.environmentMap = null;
+        this.suspended = false;
+        this.hasEstimate = false;
+        this.lastEstimate = null;
+
+        this.lightProbe = new THREE.LightProbe();
+        this.lightProbe.intensity = 0;
+        this.options.scene?.add(this.lightProbe);
+
+        this._onReflectionChange = this._onReflectionChange.bind(this);
+    }
+
+    /**
+     * Request a light probe for the session
+     * @param {XRSession} session - Active AR session
+     * @param {XRReferenceSpace} referenceSpace - World reference space
+     * @returns {Promise<boolean>} - Whether light estimation is running
+     */
+    async attach(session, referenceSpace) {
+        this.session = session;
+        this.referenceSpace = referenceSpace;
+
+        try {
+            this.probe = await session.requestLightProbe({
+                reflectionFormat: session.preferredReflectionFormat
+            });
+        } catch (error) {
+            console.warn('Light probe unavailable:', error);
+            this.session = null;
+            return false;
+        }
+
+        if (typeof XRWebGLBinding !== 'undefined' && this.options.renderer) {
+            try {
+                this.glBinding = new XRWebGLBinding(session, this.options.renderer.getContext());
+                this.probe.addEventListener('reflectionchange', this._onReflectionChange);
+            } catch (error) {
+                console.warn('Reflection cube maps unavailable:', error);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Stop estimating and remove estimated lighting from the scene
+     */
+    detach() {
+        this.probe?.removeEventListener('reflectionchange', this._onReflectionChange);
+        this.probe = null;
+        this.glBinding = null;
+        this.session = null;
+        this.hasEstimate = false;
+        this.lastEstimate = null;
+
+        this.lightProbe.intensity = 0;
+        this._clearEnvironmentMap();
+    }
+
+    /**
+     * Apply the light estimate of the current frame
+     * @param {XRFrame} frame - Current XR frame
+     */
+    update(frame) {
+        if (!this.probe || !frame.getLightEstimate) return;
+
+        const estimate = frame.getLightEstimate(this.probe);
+        if (!estimate) return;
+
+        const direction = estimate.primaryLightDirection;
+        const rgb = estimate.primaryLightIntensity;
+        const intensity = Math.max(rgb.x, rgb.y, rgb.z, 0);
+
+        this.hasEstimate = true;
+        this.lastEstimate = {
+            direction: [direction.x, direction.y, direction.z],
+            intensity,
+            color: intensity > 0 ? [rgb.x / intensity, rgb.y / intensity, rgb.z / intensity] : [1, 1, 1]
+        };
+
+        if (this.suspended) return;
+
+        // The probe replaces the fixed ambient term
+        this.lightProbe.sh.fromArray(estimate.sphericalHarmonicsCoefficients);
+        this.lightProbe.intensity = 1;
+        if (this.options.ambientLight) {
+            this.options.ambientLight.intensity = 0;
+        }
+
+        const light = this.options.directionalLight;
+        if (light) {
+            light.position.set(direction.x, direction.y, direction.z)
+                .normalize()
+                .multiplyScalar(this.options.lightDistance);
+            light.color.setRGB(...this.lastEstimate.color);
+            light.intensity = intensity;
+        }
+    }
+
+    /**
+     * Pause or resume driving the lights, e.g. while a manual override is active.
+     * The environment map keeps following the real room. The caller restores
+     * the ambient and directional lights it wants while suspended.
+     * @param {boolean} suspended - Whether estimated lighting is paused
+     */
+    setSuspended(suspended) {
+        this.suspended = suspended;
+        if (suspended) {
+            this.lightProbe.intensity = 0;
+        }
+    }
+
+    /**
+     * Whether the estimator is currently controlling the lights
+     * @returns {boolean}
+     */
+    isActive() {
+        return !!this.probe && this.hasEstimate && !this.suspended;
+    }
+
+    /**
+     * Remove from scene and release resources
+     */
+    dispose() {
+        this.detach();
+        this.options.scene?.remove(this.lightProbe);
+    }
+
+    /**
+     * Wrap the new reflection cube map as the scene environment map
+     * @private
+     */
+    _onReflectionChange() {
+        const cubeMap = this.glBinding?.getReflectionCubeMap(this.probe);
+        if (!cubeMap) return;
+
+        if (!this.environmentMap) {
+            // three.js has no public API to adopt an external GL texture, so
+            // mark the texture as initialized and point it at the cube map
+            this.environmentMap = new THREE.CubeTexture();
+            this.environmentMap.encoding = THREE.sRGBEncoding;
+        }
+
+        const properties = this.options.renderer.properties.get(this.environmentMap);
+        properties.__webglTexture = cubeMap;
+        properties.__webglInit = true;
+
+        if (this.options.scene) {
+            this.options.scene.environment = this.environmentMap;
+        }
+    }
+
+    /**
+     * Drop the environment map
+     * @private
+     */
+    _clearEnvironmentMap() {
+        if (!this.environmentMap) return;
+
+        if (this.options.scene?.environment === this.environmentMap) {
+            this.options.scene.environment = null;
+        }
+        // The GL texture belongs to the XR session, so only forget the wrapper
+        this.options.renderer?.properties.remove(this.environmentMap);
+        this.environmentMap = null;
+    }
+}
+
+// Export to global scope
+window.LightEstimator = LightEstimator;
@@ -0,0 +1,244 @@
+/**
+ * Measurement Tool for WebXR World-Locked AR Experience
+ * Draws a measuring tape between tapped surface points with per-segment
+ * distance labels, a running total and the area of closed polygons
+ */
+class MeasurementTool {
+    constructor(options = {}) {
+        this.options = {
+            scene: null,
+            formatLength: (meters) => `${(meters * 100).toFixed(0)} cm`,
+            // Tapping this close to the first point closes the polygon
+            closeThreshold: 0.05,
+            color: 0xFFD54F,
+            ...options
+        };
+
+        this.markers = [];
+        this.segments = [];
+        this.closed = false;
+        this.group = new THREE.Group();
+        this.group.name = 'measurements';
+        this.options.scene?.add(this.group);
+
+        this.markerGeometry = new THREE.SphereGeometry(0.012, 16, 12);
+        this.markerMaterial = new THREE.MeshBasicMaterial({ color: this.options.color, depthTest: false });
+        this.lineMaterial = new THREE.LineBasicMaterial({ color: this.options.color, depthTest: false });
+    }
+
+    /**
+     * Add a measurement point
+     * @param {THREE.Vector3} position - World position of the point
+     * @returns {THREE.Mesh|null} - Marker for the new point, null when the polygon was closed instead
+     */
+    addPoint(position) {
+        if (this.closed) {
+            this.clear();
+        }
+
+        if (this.markers.length >= 3 &&
+            this.markers[0].position.distanceTo(position) < this.options.closeThreshold) {
+            this.close();
+            return null;
+        }
+
+        const marker = new THREE.Mesh(this.markerGeometry, this.markerMaterial);
+        marker.position.copy(position);
+        marker.renderOrder = 999;
+        this.group.add(marker);
+        this.markers.push(marker);
+
+        if (this.markers.length > 1) {
+            this._addSegment(this.markers[this.markers.length - 2], marker);
+        }
+
+        return marker;
+    }
+
+    /**
+     * Close the polygon back to the first point
+     * @returns {boolean} - Whether the polygon was closed
+     */
+    close() {
+        if (this.closed || this.markers.length < 3) return false;
+
+        this._addSegment(this.markers[this.markers.length - 1], this.markers[0]);
+        this.closed = true;
+        return true;
+    }
+
+    /**
+     * Remove all points, lines and labels
+     * @returns {Array<THREE.Mesh>} - Removed markers
+     */
+    clear() {
+        const removed = this.markers;
+
+        this.segments.forEach(segment => {
+            segment.line.geometry.dispose();
+            segment.label.material.map.dispose();
+            segment.label.material.dispose();
+        });
+        this.group.clear();
+
+        this.markers = [];
+        this.segments = [];
+        this.closed = false;
+        return removed;
+    }
+
+    /**
+     * Refresh lines and labels from current marker positions
+     */
+    update() {
+        this.segments.forEach(segment => {
+            const { from, to, line, label } = segment;
+
+            // Checked every frame so a change of units shows without the markers moving
+            const text = this.options.formatLength(from.position.distanceTo(to.position));
+            if (text !== segment.text) {
+                segment.text = text;
+                this._drawLabel(label, text);
+            }
+
+            if (from.position.equals(segment.fromPosition) && to.position.equals(segment.toPosition)) return;
+
+            segment.fromPosition.copy(from.position);
+            segment.toPosition.copy(to.position);
+
+            // Rewrite the existing attribute; a new one per frame would leak GL buffers
+            const positions = line.geometry.attributes.position;
+            positions.setXYZ(0, from.position.x, from.position.y, from.position.z);
+            positions.setXYZ(1, to.position.x, to.position.y, to.position.z);
+            positions.needsUpdate = true;
+            line.geometry.computeBoundingSphere();
+
+            label.position.copy(from.position).add(to.position).multiplyScalar(0.5);
+            label.position.y += 0.03;
+        });
+    }
+
+    /**
+     * Summary of the current measurement
+     * @returns {Object} - { pointCount, totalLength, area, closed }
+     */
+    getSummary() {
+        const totalLength = this.segments.reduce((sum, { from, to }) =>
+            sum + from.position.distanceTo(to.position), 0);
+
+        return {
+            pointCount: this.markers.length,
+            totalLength,
+            area: this.closed ? this._polygonArea() : null,
+            closed: this.closed
+        };
+    }
+
+    /**
+     * Serialize measurement (meters)
+     * @returns {Object} - JSON-safe measurement
+     */
+    toJSON() {
+        const summary = this.getSummary();
+
+        return {
+            version: 1,
+            units: 'm',
+            createdAt: new Date().toISOString(),
+            points: this.markers.map(marker => marker.position.toArray()),
+            segments: this.segments.map(({ from, to }) => ({
+                from: this.markers.indexOf(from),
+                to: this.markers.indexOf(to),
+                length: from.position.distanceTo(to.position)
+            })),
+            closed: summary.closed,
+            totalLength: summary.totalLength,
+            area: summary.area
+        };
+    }
+
+    /**
+     * Remove from scene and release GPU resources
+     */
+    dispose() {
+        this.clear();
+        this.options.scene?.remove(this.group);
+        this.markerGeometry.dispose();
+        this.markerMaterial.dispose();
+        this.lineMaterial.dispose();
+    }
+
+    /**
+     * Create line and label between two markers
+     * @private
+     */
+    _addSegment(from, to) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(6, 3));
+        const line = new THREE.Line(geometry, this.lineMaterial);
+        line.renderOrder = 998;
+
+        const label = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(document.createElement('canvas')),
+            depthTest: false,
+            transparent: true
+        }));
+        label.scale.set(0.12, 0.04, 1);
+        label.renderOrder = 1000;
+
+        this.group.add(line, label);
+        // Last drawn marker positions; NaN forces the first update to draw
+        this.segments.push({
+            from, to, line, label, text: null,
+            fromPosition: new THREE.Vector3(NaN, NaN, NaN),
+            toPosition: new THREE.Vector3(NaN, NaN, NaN)
+        });
+        this.update();
+    }
+
+    /**
+     * Render label text into the sprite's canvas texture
+     * @private
+     */
+    _drawLabel(label, text) {
+        const texture = label.material.map;
+        const canvas = texture.image;
+        canvas.width = 256;
+        canvas.height = 84;
+
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = 'rgba(15, 17, 25, 0.85)';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 40px sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+        texture.needsUpdate = true;
+    }
+
+    /**
+     * Area of the closed polygon using Newell's method, so it works
+     * on floors and walls alike
+     * @private
+     * @returns {number} - Area in square meters
+     */
+    _polygonArea() {
+        const normal = new THREE.Vector3();
+        const points = this.markers.map(marker => marker.position);
+
+        points.forEach((current, index) => {
+            const next = points[(index + 1) % points.length];
+            normal.x += (current.y - next.y) * (current.z + next.z);
+            normal.y += (current.z - next.z) * (current.x + next.x);
+            normal.z += (current.x - next.x) * (current.y + next.y);
+        });
+
+        return normal.length() / 2;
+    }
+}
+
+// Export to global scope
+window.MeasurementTool = MeasurementTool;
@@ -0,0 +1,731 @@
+/**
+ * Mock XR Runtime for WebXR World-Locked AR Experience
+ * Simulated WebXR device for automated tests: replaces navigator.xr with
+ * sessions, reference spaces, scripted hit tests, touch input and a frame
+ * loop so the app can run end-to-end in a headless browser or jsdom.
+ * Opt in with the ?mockxr URL flag or a window.MOCK_XR_CONFIG object.
+ */
+class MockXRRuntime {
+    constructor(options = {}) {
+        this.options = {
+            modes: ['immersive-ar', 'inline'],
+            features: ['viewer', 'local', 'local-floor', 'hit-test', 'anchors', 'dom-overlay'],
+            frameRate: 60,
+            supportedFrameRates: [60],
+            // Run frames on the page's animation loop; tests call step() when false
+            autoAdvance: true,
+            fieldOfView: 60, // vertical, degrees
+            // Height of the device above the floor (meters)
+            floorHeight: 1.4,
+            // Viewer pose in the local reference space; orientation is a quaternion [x, y, z, w]
+            viewerPosition: [0, 0, 0],
+            viewerOrientation: [-0.2588, 0, 0, 0.9659], // looking 30° down
+            // Optional (time) => { position, orientation } for scripted camera paths
+            viewerPath: null,
+            // Infinite planes hit tests can land on; defaults to the floor
+            surfaces: null,
+            ...options
+        };
+
+        this.system = new MockXRSystem(this);
+        this.session = null;
+        this.viewerMatrix = new THREE.Matrix4();
+        this.surfaces = this.options.surfaces || [
+            { point: [0, -this.options.floorHeight, 0], normal: [0, 1, 0] }
+        ];
+        this.fixedHitResults = null;
+        this.trackedAnchors = new Set();
+        this.touch = null;
+        this.time = 0;
+        this.frameIndex = 0;
+        this.frameTasks = [];
+        this.frameScheduled = false;
+        this.installed = false;
+        this.restore = [];
+
+        this.setViewerPose(this.options.viewerPosition, this.options.viewerOrientation);
+        this._runFrame = this._runFrame.bind(this);
+    }
+
+    /**
+     * Options requested by the page, or null when the mock is not opted into
+     * @returns {Object|null} - Runtime options
+     */
+    static getPageConfig() {
+        const flag = new URLSearchParams(window.location.search).get('mockxr');
+        if (flag === null && !window.MOCK_XR_CONFIG) return null;
+        if (flag === '0' || flag === 'false') return null;
+
+        return { ...(window.MOCK_XR_CONFIG || {}) };
+    }
+
+    /**
+     * Install the runtime when the page opted into it
+     * @returns {MockXRRuntime|null} - Installed runtime
+     */
+    static installFromPage() {
+        const config = MockXRRuntime.getPageConfig();
+        if (!config) return null;
+
+        const runtime = new MockXRRuntime(config).install();
+        console.warn('Mock XR runtime installed; no real XR device is used');
+        return runtime;
+    }
+
+    /**
+     * Replace navigator.xr and the XR globals the app relies on
+     * @returns {MockXRRuntime} - This runtime
+     */
+    install() {
+        if (this.installed) return this;
+        this.installed = true;
+
+        Object.defineProperty(navigator, 'xr', { value: this.system, configurable: true });
+        this.restore.push(() => delete navigator.xr);
+
+        this._replaceGlobal('XRWebGLLayer', MockXRWebGLLayer);
+        this._replaceGlobal('XRRigidTransform', MockXRRigidTransform);
+
+        // Real contexts cannot become compatible with a simulated device
+        ['WebGLRenderingContext', 'WebGL2RenderingContext'].forEach(name => {
+            const prototype = window[name]?.prototype;
+            if (!prototype) return;
+
+            const original = Object.getOwnPropertyDescriptor(prototype, 'makeXRCompatible');
+            prototype.makeXRCompatible = () => Promise.resolve();
+            this.restore.push(() => {
+                if (original) {
+                    Object.defineProperty(prototype, 'makeXRCompatible', original);
+                } else {
+                    delete prototype.makeXRCompatible;
+                }
+            });
+        });
+
+        MockXRRuntime.active = this;
+        return this;
+    }
+
+    /**
+     * End any session and restore the browser's own WebXR objects
+     */
+    uninstall() {
+        if (!this.installed) return;
+
+        this.session?._shutdown();
+        this.restore.splice(0).reverse().forEach(undo => undo());
+        this.installed = false;
+
+        if (MockXRRuntime.active === this) {
+            MockXRRuntime.active = null;
+        }
+    }
+
+    /**
+     * Move the simulated device
+     * @param {Array<number>} position - [x, y, z] in the local reference space
+     * @param {Array<number>} orientation - Quaternion [x, y, z, w]
+     */
+    setViewerPose(position, orientation = [0, 0, 0, 1]) {
+        this.viewerMatrix.compose(
+            new THREE.Vector3(...position),
+            new THREE.Quaternion(...orientation).normalize(),
+            new THREE.Vector3(1, 1, 1)
+        );
+    }
+
+    /**
+     * Replace the planes hit tests land on
+     * @param {Array<Object>} surfaces - { point: [x, y, z], normal: [x, y, z] }
+     */
+    setSurfaces(surfaces) {
+        this.surfaces = surfaces;
+    }
+
+    /**
+     * Return fixed hit test results instead of ray casting against surfaces
+     * @param {Array<Object>|null} results - { position, orientation } poses, or null to cast again
+     */
+    setHitTestResults(results) {
+        this.fixedHitResults = results;
+    }
+
+    /**
+     * Put a finger on the screen; events fire on the next frame
+     * @param {Object} point - Normalized screen point, x and y in [-1, 1]
+     */
+    startTouch(point = { x: 0, y: 0 }) {
+        if (!this.session || this.touch) return;
+
+        const inputSource = new MockXRInputSource(this);
+        this.touch = { inputSource, point: { ...point } };
+        this.session.inputSources.push(inputSource);
+
+        this._queueTask(0, frame => {
+            this.session._dispatch('inputsourceschange', { added: [inputSource], removed: [] });
+            this.session._dispatch('selectstart', { inputSource, frame });
+        });
+    }
+
+    /**
+     * Slide the finger to a new screen point
+     * @param {Object} point - Normalized screen point, x and y in [-1, 1]
+     */
+    moveTouch(point) {
+        if (this.touch) {
+            this.touch.point = { ...point };
+        }
+    }
+
+    /**
+     * Lift the finger; events fire on the next frame
+     * @param {boolean} select - Whether the touch completes a select
+     */
+    endTouch(select = true) {
+        if (!this.touch) return;
+
+        const { inputSource } = this.touch;
+        this._queueTask(0, frame => {
+            if (select) {
+                this.session._dispatch('select', { inputSource, frame });
+            }
+            this.session._dispatch('selectend', { inputSource, frame });
+
+            this.session.inputSources.splice(this.session.inputSources.indexOf(inputSource), 1);
+            this.session._dispatch('inputsourceschange', { added: [], removed: [inputSource] });
+            if (this.touch?.inputSource === inputSource) {
+                this.touch = null;
+            }
+        });
+    }
+
+    /**
+     * Tap the screen
+     * @param {Object} point - Normalized screen point, x and y in [-1, 1]
+     * @returns {Promise} - Resolves once the select events have fired
+     */
+    tap(point = { x: 0, y: 0 }) {
+        this.startTouch(point);
+        return new Promise(resolve => {
+            this._queueTask(1, () => {
+                this.endTouch();
+                this._queueTask(0, resolve);
+            });
+        });
+    }
+
+    /**
+     * Run frames synchronously, e.g. when autoAdvance is off
+     * @param {number} count - Number of frames
+     */
+    step(count = 1) {
+        for (let i = 0; i < count && this.session; i++) {
+            this._runFrame();
+        }
+    }
+
+    /**
+     * End the session as if the user left AR
+     */
+    endSession() {
+        return this.session?.end();
+    }
+
+    /**
+     * World matrix of a touch's target ray
+     * @private
+     */
+    _getTouchMatrix(inputSource) {
+        const point = this.touch?.inputSource === inputSource ? this.touch.point : { x: 0, y: 0 };
+        const halfHeight = Math.tan(THREE.MathUtils.degToRad(this.options.fieldOfView) / 2);
+        const direction = new THREE.Vector3(point.x * halfHeight * this._getAspect(), point.y * halfHeight, -1)
+            .normalize();
+
+        const rotation = new THREE.Matrix4().makeRotationFromQuaternion(
+            new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 0, -1), direction)
+        );
+        return this.viewerMatrix.clone().multiply(rotation);
+    }
+
+    /**
+     * Hits along the -Z axis of a world matrix, nearest first
+     * @private
+     * @returns {Array<THREE.Matrix4>} - Hit poses with Y along the surface normal
+     */
+    _castRay(matrix) {
+        if (this.fixedHitResults) {
+            return this.fixedHitResults.map(({ position, orientation = [0, 0, 0, 1] }) =>
+                new THREE.Matrix4().compose(
+                    new THREE.Vector3(...position),
+                    new THREE.Quaternion(...orientation),
+                    new THREE.Vector3(1, 1, 1)
+                ));
+        }
+
+        const origin = new THREE.Vector3().setFromMatrixPosition(matrix);
+        const direction = new THREE.Vector3(0, 0, -1).transformDirection(matrix);
+        const ray = new THREE.Ray(origin, direction);
+
+        return this.surfaces
+            .map(({ point, normal }) => {
+                const surfaceNormal = new THREE.Vector3(...normal).normalize();
+                const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(surfaceNormal, new THREE.Vector3(...point));
+                const hit = ray.intersectPlane(plane, new THREE.Vector3());
+                return hit && { hit, surfaceNormal, distance: hit.distanceTo(origin) };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.distance - b.distance)
+            .map(({ hit, surfaceNormal }) => new THREE.Matrix4().compose(
+                hit,
+                new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), surfaceNormal),
+                new THREE.Vector3(1, 1, 1)
+            ));
+    }
+
+    /**
+     * Width over height of the rendered view
+     * @private
+     */
+    _getAspect() {
+        const layer = this.session?.renderState.baseLayer;
+        return layer?.framebufferHeight ? layer.framebufferWidth / layer.framebufferHeight : 1;
+    }
+
+    /**
+     * Run a callback during a later frame
+     * @private
+     * @param {number} framesFromNow - 0 runs it during the next frame
+     */
+    _queueTask(framesFromNow, run) {
+        this.frameTasks.push({ frameIndex: this.frameIndex + 1 + framesFromNow, run });
+        this._scheduleFrame();
+    }
+
+    /**
+     * Request the next automatic frame
+     * @private
+     */
+    _scheduleFrame() {
+        if (!this.options.autoAdvance || this.frameScheduled || !this.session) return;
+
+        this.frameScheduled = true;
+        const tick = () => {
+            this.frameScheduled = false;
+            this._runFrame();
+        };
+
+        if (window.requestAnimationFrame) {
+            window.requestAnimationFrame(tick);
+        } else {
+            setTimeout(tick, 1000 / this.session.frameRate);
+        }
+    }
+
+    /**
+     * Advance the simulated clock, fire scripted input and call frame callbacks
+     * @private
+     */
+    _runFrame() {
+        const session = this.session;
+        if (!session) return;
+
+        this.frameIndex++;
+        this.time += 1000 / session.frameRate;
+
+        if (this.options.viewerPath) {
+            const { position, orientation } = this.options.viewerPath(this.time);
+            this.setViewerPose(position, orientation);
+        }
+
+        const frame = new MockXRFrame(this, session, this.time);
+        frame.active = true;
+
+        const due = this.frameTasks.filter(task => task.frameIndex <= this.frameIndex);
+        this.frameTasks = this.frameTasks.filter(task => task.frameIndex > this.frameIndex);
+        due.forEach(task => task.run(frame));
+
+        const callbacks = session.frameCallbacks;
+        session.frameCallbacks = new Map();
+        callbacks.forEach(callback => {
+            try {
+                callback(this.time, frame);
+            } catch (error) {
+                console.error('Mock XR frame callback failed:', error);
+            }
+        });
+
+        frame.active = false;
+
+        if (session.frameCallbacks.size > 0 || this.frameTasks.length > 0) {
+            this._scheduleFrame();
+        }
+    }
+
+    /**
+     * Swap a global for the mock version until uninstall
+     * @private
+     */
+    _replaceGlobal(name, value) {
+        const hadOwn = Object.prototype.hasOwnProperty.call(window, name);
+        const original = window[name];
+        window[name] = value;
+        this.restore.push(() => {
+            if (hadOwn) {
+                window[name] = original;
+            } else {
+                delete window[name];
+            }
+        });
+    }
+}
+
+MockXRRuntime.active = null;
+
+/**
+ * navigator.xr replacement
+ * @private
+ */
+class MockXRSystem extends EventTarget {
+    constructor(runtime) {
+        super();
+        this.runtime = runtime;
+    }
+
+    async isSessionSupported(mode) {
+        return this.runtime.options.modes.includes(mode);
+    }
+
+    async requestSession(mode, init = {}) {
+        const { options } = this.runtime;
+        if (!options.modes.includes(mode)) {
+            throw new DOMException(`Mock XR runtime does not support '${mode}'`, 'NotSupportedError');
+        }
+        if (mode !== 'inline' && this.runtime.session) {
+            throw new DOMException('An immersive session is already active', 'InvalidStateError');
+        }
+
+        const required = init.requiredFeatures || [];
+        const missing = required.filter(feature => !options.features.includes(feature));
+        if (missing.length > 0) {
+            throw new DOMException(`Unsupported required features: ${missing.join(', ')}`, 'NotSupportedError');
+        }
+
+        const enabled = new Set(['viewer', ...(mode === 'inline' ? [] : ['local'])]);
+        [...required, ...(init.optionalFeatures || [])]
+            .filter(feature => options.features.includes(feature))
+            .forEach(feature => enabled.add(feature));
+
+        const session = new MockXRSession(this.runtime, mode, [...enabled]);
+        if (mode !== 'inline') {
+            this.runtime.session = session;
+            this.runtime.time = performance.now();
+        }
+        return session;
+    }
+}
+
+/**
+ * XRSession replacement
+ * @private
+ */
+class MockXRSession extends EventTarget {
+    constructor(runtime, mode, enabledFeatures) {
+        super();
+        this.runtime = runtime;
+        this.mode = mode;
+        this.enabledFeatures = enabledFeatures;
+        this.environmentBlendMode = mode === 'immersive-ar' ? 'alpha-blend' : 'opaque';
+        this.interactionMode = 'screen-space';
+        this.visibilityState = 'visible';
+        this.inputSources = [];
+        this.frameRate = runtime.options.frameRate;
+        this.supportedFrameRates = new Float32Array(runtime.options.supportedFrameRates);
+        this.renderState = { baseLayer: null, depthNear: 0.1, depthFar: 1000, inlineVerticalFieldOfView: null };
+        this.frameCallbacks = new Map();
+        this.nextCallbackId = 1;
+        this.ended = false;
+    }
+
+    updateRenderState(state = {}) {
+        Object.assign(this.renderState, state);
+    }
+
+    async updateTargetFrameRate(rate) {
+        if (!this.supportedFrameRates.includes(rate)) {
+            throw new DOMException(`Unsupported frame rate ${rate}`, 'NotSupportedError');
+        }
+        this.frameRate = rate;
+        this.dispatchEvent(new Event('frameratechange'));
+    }
+
+    async requestReferenceSpace(type) {
+        if (!this.enabledFeatures.includes(type)) {
+            throw new DOMException(`Reference space '${type}' is not enabled`, 'NotSupportedError');
+        }
+
+        const runtime = this.runtime;
+        switch (type) {
+        case 'viewer':
+            return new MockXRSpace(() => runtime.viewerMatrix);
+        case 'local-floor':
+            return new MockXRSpace(() => new THREE.Matrix4().makeTranslation(0, -runtime.options.floorHeight, 0));
+        default:
+            return new MockXRSpace(() => new THREE.Matrix4());
+        }
+    }
+
+    async requestHitTestSource({ space }) {
+        this._requireFeature('hit-test');
+        return new MockXRHitTestSource(() => space._getWorldMatrix());
+    }
+
+    async requestHitTestSourceForTransientInput({ profile }) {
+        this._requireFeature('hit-test');
+        return new MockXRHitTestSource(null, profile);
+    }
+
+    requestAnimationFrame(callback) {
+        const id = this.nextCallbackId++;
+        this.frameCallbacks.set(id, callback);
+        this.runtime._scheduleFrame();
+        return id;
+    }
+
+    cancelAnimationFrame(id) {
+        this.frameCallbacks.delete(id);
+    }
+
+    async end() {
+        this._shutdown();
+    }
+
+    /**
+     * Stop the session and fire 'end' once
+     * @private
+     */
+    _shutdown() {
+        if (this.ended) return;
+        this.ended = true;
+
+        this.frameCallbacks.clear();
+        if (this.runtime.session === this) {
+            this.runtime.session = null;
+            this.runtime.touch = null;
+            this.runtime.frameTasks = [];
+            // Anchors are only valid for the session that created them
+            this.runtime.trackedAnchors.clear();
+        }
+        this._dispatch('end', {});
+    }
+
+    /**
+     * Dispatch an XR event carrying the session
+     * @private
+     */
+    _dispatch(type, properties) {
+        this.dispatchEvent(Object.assign(new Event(type), { session: this, ...properties }));
+    }
+
+    /**
+     * @private
+     */
+    _requireFeature(feature) {
+        if (!this.enabledFeatures.includes(feature)) {
+            throw new DOMException(`Feature '${feature}' is not enabled`, 'NotSupportedError');
+        }
+    }
+}
+
+/**
+ * XRFrame replacement
+ * @private
+ */
+class MockXRFrame {
+    constructor(runtime, session, predictedDisplayTime) {
+        this.runtime = runtime;
+        this.session = session;
+        this.predictedDisplayTime = predictedDisplayTime;
+        this.active = false;
+        this.trackedAnchors = session.enabledFeatures.includes('anchors') ? runtime.trackedAnchors : undefined;
+    }
+
+    getPose(space, baseSpace) {
+        const relative = baseSpace._getWorldMatrix().clone().invert().multiply(space._getWorldMatrix());
+        return { transform: MockXRRigidTransform.fromMatrix(relative), emulatedPosition: false };
+    }
+
+    getViewerPose(baseSpace) {
+        const viewer = new MockXRSpace(() => this.runtime.viewerMatrix);
+        const pose = this.getPose(viewer, baseSpace);
+        const { fieldOfView } = this.runtime.options;
+        const projection = new THREE.PerspectiveCamera(fieldOfView, this.runtime._getAspect(), 0.01, 1000).projectionMatrix;
+
+        pose.views = [{
+            eye: 'none',
+            transform: pose.transform,
+            projectionMatrix: new Float32Array(projection.elements)
+        }];
+        return pose;
+    }
+
+    getHitTestResults(source) {
+        return this.runtime._castRay(source._getWorldMatrix())
+            .map(matrix => new MockXRHitTestResult(this, matrix));
+    }
+
+    getHitTestResultsForTransientInput(source) {
+        const touch = this.runtime.touch;
+        if (!touch || !source.profile || !touch.inputSource.profiles.includes(source.profile)) return [];
+
+        const matrix = this.runtime._getTouchMatrix(touch.inputSource);
+        return [{
+            inputSource: touch.inputSource,
+            results: this.runtime._castRay(matrix).map(hit => new MockXRHitTestResult(this, hit))
+        }];
+    }
+
+    createAnchor(transform, space) {
+        if (!this.trackedAnchors) {
+            return Promise.reject(new DOMException('Anchors are not enabled', 'NotSupportedError'));
+        }
+
+        const matrix = space._getWorldMatrix().clone().multiply(new THREE.Matrix4().fromArray(transform.matrix));
+        const anchor = new MockXRAnchor(this.trackedAnchors, matrix);
+        this.trackedAnchors.add(anchor);
+        return Promise.resolve(anchor);
+    }
+}
+
+/**
+ * XRSpace replacement; world space is the local reference space
+ * @private
+ */
+class MockXRSpace extends EventTarget {
+    constructor(getWorldMatrix) {
+        super();
+        this._getWorldMatrix = getWorldMatrix;
+    }
+
+    getOffsetReferenceSpace(transform) {
+        const offset = new THREE.Matrix4().fromArray(transform.matrix);
+        return new MockXRSpace(() => this._getWorldMatrix().clone().multiply(offset));
+    }
+}
+
+/**
+ * XRHitTestSource replacement
+ * @private
+ */
+class MockXRHitTestSource {
+    constructor(getWorldMatrix, profile = null) {
+        this._getWorldMatrix = getWorldMatrix;
+        this.profile = profile;
+    }
+
+    cancel() {}
+}
+
+/**
+ * XRHitTestResult replacement
+ * @private
+ */
+class MockXRHitTestResult {
+    constructor(frame, matrix) {
+        this.frame = frame;
+        this.matrix = matrix;
+    }
+
+    getPose(baseSpace) {
+        return this.frame.getPose(new MockXRSpace(() => this.matrix), baseSpace);
+    }
+
+    createAnchor() {
+        return this.frame.createAnchor(MockXRRigidTransform.fromMatrix(this.matrix), new MockXRSpace(() => new THREE.Matrix4()));
+    }
+}
+
+/**
+ * XRAnchor replacement
+ * @private
+ */
+class MockXRAnchor {
+    constructor(trackedAnchors, matrix) {
+        this.trackedAnchors = trackedAnchors;
+        this.anchorSpace = new MockXRSpace(() => matrix);
+    }
+
+    delete() {
+        this.trackedAnchors.delete(this);
+    }
+}
+
+/**
+ * Screen touch input source
+ * @private
+ */
+class MockXRInputSource {
+    constructor(runtime) {
+        this.handedness = 'none';
+        this.targetRayMode = 'screen';
+        this.targetRaySpace = new MockXRSpace(() => runtime._getTouchMatrix(this));
+        this.gripSpace = undefined;
+        this.profiles = ['generic-touchscreen'];
+        this.gamepad = null;
+    }
+}
+
+/**
+ * XRRigidTransform replacement
+ * @private
+ */
+class MockXRRigidTransform {
+    constructor(position = {}, orientation = {}) {
+        const { x = 0, y = 0, z = 0 } = position;
+        const quaternion = new THREE.Quaternion(
+            orientation.x || 0, orientation.y || 0, orientation.z || 0,
+            orientation.w === undefined ? 1 : orientation.w
+        ).normalize();
+
+        this.position = { x, y, z, w: 1 };
+        this.orientation = { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w };
+        this.matrix = new Float32Array(
+            new THREE.Matrix4().compose(new THREE.Vector3(x, y, z), quaternion, new THREE.Vector3(1, 1, 1)).elements
+        );
+    }
+
+    static fromMatrix(matrix) {
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        matrix.decompose(position, quaternion, new THREE.Vector3());
+        return new MockXRRigidTransform(position, quaternion);
+    }
+
+    get inverse() {
+        return MockXRRigidTransform.fromMatrix(new THREE.Matrix4().fromArray(this.matrix).invert());
+    }
+}
+
+/**
+ * XRWebGLLayer replacement that draws to the page's canvas
+ * @private
+ */
+class MockXRWebGLLayer {
+    constructor(session, context) {
+        this.framebuffer = null;
+        this.framebufferWidth = context.drawingBufferWidth;
+        this.framebufferHeight = context.drawingBufferHeight;
+        this.antialias = false;
+        this.ignoreDepthValues = false;
+    }
+
+    static getNativeFramebufferScaleFactor() {
+        return 1;
+    }
+
+    getViewport() {
+        return { x: 0, y: 0, width: this.framebufferWidth, height: this.framebufferHeight };
+    }
+}
+
+// Export to global scope
+window.MockXRRuntime = MockXRRuntime;
@@ -0,0 +1,132 @@
+/**
+ * Mock XR Smoke Test for WebXR World-Locked AR Experience
+ * Drives the app through the mock XR runtime: enter AR, wait for a surface,
+ * tap to place an object and leave AR again. Runs when the page is opened
+ * with ?mockxr&smoke; the outcome is logged, stored in
+ * window.MOCK_XR_SMOKE_RESULT and set as data-smoke-result="pass|fail" on
+ * <body>, so a headless browser can check it, e.g. with the repo served on
+ * port 8000:
+ *
+ *   chrome --headless=new --virtual-time-budget=30000 \
+ *       --dump-dom "http://localhost:8000/?mockxr&smoke" | grep 'data-smoke-result="pass"'
+ */
+class MockXRSmokeTest {
+    constructor(app, options = {}) {
+        this.options = {
+            // Longest wait for each step (ms); model loading dominates
+            stepTimeout: 10000,
+            pollInterval: 50,
+            ...options
+        };
+
+        this.app = app;
+        this.checks = [];
+    }
+
+    /**
+     * Run the smoke test when the page asked for it
+     * @param {ARApplication} app - Initialized application
+     * @returns {Promise<Object|null>} - Result, or null when not requested
+     */
+    static runFromPage(app) {
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has('smoke')) return Promise.resolve(null);
+
+        return new MockXRSmokeTest(app).run();
+    }
+
+    /**
+     * Run every step; stops at the first failure
+     * @returns {Promise<Object>} - { passed, checks, error }
+     */
+    async run() {
+        let error = null;
+
+        try {
+            await this._step('mock runtime installed', () => {
+                if (!this.app.mockXR) throw new Error('open the page with ?mockxr');
+            });
+
+            const arManager = this.app.arManager;
+            await this._step('AR session starts', async () => {
+                this.app.elements.startButton.click();
+                await this._waitFor(() => arManager.state.isInAR && arManager.state.xrSession);
+            });
+
+            await this._step('reticle finds the floor', () =>
+                this._waitFor(() => arManager.state.reticle?.visible));
+
+            await this._step('tap places an object', async () => {
+                const placed = arManager.state.placedObjects.length;
+                await this.app.mockXR.tap();
+                await this._waitFor(() => arManager.state.placedObjects.length === placed + 1);
+            });
+
+            await this._step('AR session ends', async () => {
+                this.app.exitARMode();
+                await this._waitFor(() => !arManager.state.xrSession);
+            });
+        } catch (stepError) {
+            error = stepError.message;
+        }
+
+        return this._report(error);
+    }
+
+    /**
+     * Run one named step and record its outcome
+     * @private
+     */
+    async _step(name, run) {
+        const startTime = performance.now();
+        try {
+            await run();
+            this.checks.push({ name, passed: true, duration: Math.round(performance.now() - startTime) });
+        } catch (error) {
+            this.checks.push({ name, passed: false, error: error.message });
+            throw new Error(`${name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Resolve once a condition holds, reject after the step timeout
+     * @private
+     */
+    _waitFor(condition) {
+        const deadline = performance.now() + this.options.stepTimeout;
+
+        return new Promise((resolve, reject) => {
+            const poll = () => {
+                if (condition()) {
+                    resolve();
+                } else if (performance.now() > deadline) {
+                    reject(new Error(`timed out after ${this.options.stepTimeout}ms`));
+                } else {
+                    setTimeout(poll, this.options.pollInterval);
+                }
+            };
+            poll();
+        });
+    }
+
+    /**
+     * Publish the result for the console and headless browsers
+     * @private
+     */
+    _report(error) {
+        const result = { passed: !error, checks: this.checks, error };
+
+        window.MOCK_XR_SMOKE_RESULT = result;
+        document.body.dataset.smokeResult = result.passed ? 'pass' : 'fail';
+
+        if (result.passed) {
+            console.log('Mock XR smoke test passed:', this.checks);
+        } else {
+            console.error(`Mock XR smoke test failed: ${error}`, this.checks);
+        }
+        return result;
+    }
+}
+
+// Export to global scope
+window.MockXRSmokeTest = MockXRSmokeTest;
@@ -0,0 +1,140 @@
+/**
+ * Model Cache for WebXR World-Locked AR Experience
+ * Parses each catalog entry once and hands out lightweight clones that
+ * share geometry and materials with the cached template
+ */
+class ModelCache {
+    constructor(options = {}) {
+        this.options = {
+            loader: null,
+            onProgress: null,
+            ...options
+        };
+
+        // Map of model id -> Promise<{ scene, animations, size }>
+        this.templates = new Map();
+    }
+
+    /**
+     * Load and parse a model once, returning the cached template
+     * @param {Object} modelDef - Catalog entry
+     * @returns {Promise<Object>} - Parsed template ({ scene, animations, size })
+     */
+    load(modelDef) {
+        const key = modelDef.id || modelDef.path;
+
+        if (!this.templates.has(key)) {
+            const pending = this._parse(modelDef).catch(error => {
+                // Allow a later retry instead of caching the failure
+                this.templates.delete(key);
+                throw error;
+            });
+            this.templates.set(key, pending);
+        }
+
+        return this.templates.get(key);
+    }
+
+    /**
+     * Create a new placeable instance of a model
+     * @param {Object} modelDef - Catalog entry
+     * @returns {Promise<Object>} - Instance ({ model, animations, size })
+     */
+    async instantiate(modelDef) {
+        const template = await this.load(modelDef);
+
+        return {
+            model: this._cloneScene(template.scene),
+            animations: template.animations,
+            size: template.size.clone()
+        };
+    }
+
+    /**
+     * Start loading a model in the background
+     * @param {Object} modelDef - Catalog entry
+     */
+    preload(modelDef) {
+        if (!modelDef?.available || this.has(modelDef)) return;
+
+        this.load(modelDef)
+            .then(() => console.log(`Preloaded ${modelDef.name}`))
+            .catch(error => console.warn(`Preload failed for ${modelDef.name}:`, error));
+    }
+
+    /**
+     * Check whether a model is cached or loading
+     * @param {Object} modelDef - Catalog entry
+     * @returns {boolean}
+     */
+    has(modelDef) {
+        return this.templates.has(modelDef.id || modelDef.path);
+    }
+
+    /**
+     * Dispose cached templates and their shared GPU resources
+     */
+    dispose() {
+        this.templates.forEach(pending => {
+            pending.then(template => {
+                template.scene.traverse(child => {
+                    if (child.geometry) child.geometry.dispose();
+                    if (child.material) {
+                        const materials = Array.isArray(child.material) ? child.material : [child.material];
+                        materials.forEach(material => material.dispose());
+                    }
+                });
+            }).catch(() => {});
+        });
+        this.templates.clear();
+    }
+
+    /**
+     * Parse model with the GLTF loader
+     * @private
+     * @param {Object} modelDef - Catalog entry
+     * @returns {Promise<Object>} - Parsed template
+     */
+    _parse(modelDef) {
+        return new Promise((resolve, reject) => {
+            this.options.loader.load(
+                modelDef.path,
+                (gltf) => resolve({
+                    scene: gltf.scene,
+                    animations: gltf.animations || [],
+                    size: this._measure(gltf.scene)
+                }),
+                (progress) => this.options.onProgress?.(modelDef, progress),
+                reject
+            );
+        });
+    }
+
+    /**
+     * Measure the bounding box size of an unscaled model
+     * @private
+     * @param {THREE.Object3D} scene - Template scene
+     * @returns {THREE.Vector3} - Size in model units (meters for glTF)
+     */
+    _measure(scene) {
+        scene.updateMatrixWorld(true);
+        return new THREE.Box3().setFromObject(scene).getSize(new THREE.Vector3());
+    }
+
+    /**
+     * Clone a template scene; meshes keep references to the shared
+     * geometry and materials, skinned meshes get rebound skeletons
+     * @private
+     * @param {THREE.Object3D} scene - Template scene
+     * @returns {THREE.Object3D} - Cloned scene
+     */
+    _cloneScene(scene) {
+        if (THREE.SkeletonUtils?.clone) {
+            return THREE.SkeletonUtils.clone(scene);
+        }
+        return scene.clone(true);
+    }
+}
+
+// Export to global scope
+window.ModelCache = ModelCache;
@@ -0,0 +1,200 @@
+/**
+ * Model Catalog for WebXR World-Locked AR Experience
+ * Loads furniture entries from a JSON manifest and validates their assets
+ * so missing or broken models are flagged before the user tries to place them
+ */
+class ModelCatalog {
+    constructor(options = {}) {
+        this.options = {
+            manifestURL: 'models/catalog.json',
+            validateAssets: true,
+            ...options
+        };
+
+        this.entries = [];
+        this.manifestVersion = null;
+        this.isLoaded = false;
+    }
+
+    /**
+     * Load catalog entries from the manifest file
+     * @returns {Promise<Array>} - Normalized catalog entries
+     */
+    async load() {
+        const response = await fetch(this.options.manifestURL, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Failed to load model catalog (${response.status})`);
+        }
+
+        const manifest = await response.json();
+        if (!Array.isArray(manifest?.models)) {
+            throw new Error('Model catalog manifest has no "models" array');
+        }
+
+        this.manifestVersion = manifest.version || 1;
+        this.setEntries(manifest.models);
+        return this.entries;
+    }
+
+    /**
+     * Replace catalog entries with an in-memory list
+     * @param {Array} models - Raw catalog entries
+     */
+    setEntries(models) {
+        this.entries = models.map((entry, index) => this._normalizeEntry(entry, index));
+        this.isLoaded = true;
+    }
+
+    /**
+     * Validate every entry and its asset, marking broken ones as unavailable
+     * @returns {Promise<Array>} - Validated catalog entries
+     */
+    async validate() {
+        await Promise.all(this.entries.map(entry => this._validateEntry(entry)));
+
+        const unavailable = this.entries.filter(entry => !entry.available);
+        unavailable.forEach(entry => {
+            console.warn(`Model '${entry.name}' unavailable: ${entry.error}`);
+        });
+        console.log(`Model catalog validated: ${this.entries.length - unavailable.length}/${this.entries.length} available`);
+
+        return this.entries;
+    }
+
+    /**
+     * Get catalog entry by id
+     * @param {string} id - Entry id
+     * @returns {Object|null} - Catalog entry
+     */
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Get entries that passed validation
+     * @returns {Array} - Available catalog entries
+     */
+    getAvailable() {
+        return this.entries.filter(entry => entry.available);
+    }
+
+    /**
+     * Normalize a raw manifest entry
+     * @private
+     * @param {Object} entry - Raw manifest entry
+     * @param {number} index - Entry position in manifest
+     * @returns {Object} - Normalized entry
+     */
+    _normalizeEntry(entry, index) {
+        const name = entry.name || `Model ${index + 1}`;
+
+        return {
+            id: entry.id || name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+            name,
+            type: entry.type || 'gltf',
+            path: entry.path || null,
+            category: entry.category || 'uncategorized',
+            defaultScale: Number(entry.defaultScale) > 0 ? Number(entry.defaultScale) : 1.0,
+            placement: this._normalizePlacement(entry.placement, name),
+            thumbnail: entry.thumbnail || null,
+            dimensions: this._normalizeDimensions(entry.dimensions),
+            license: entry.license || null,
+            available: false,
+            error: null
+        };
+    }
+
+    /**
+     * Normalize the surface a model may be placed on
+     * @private
+     * @param {string} placement - Raw placement declaration
+     * @param {string} name - Entry name for warnings
+     * @returns {string} - One of ModelCatalog.PLACEMENTS
+     */
+    _normalizePlacement(placement, name) {
+        if (!placement) return 'floor';
+        if (ModelCatalog.PLACEMENTS.includes(placement)) return placement;
+
+        console.warn(`Model '${name}' declares unknown placement '${placement}', using 'floor'`);
+        return 'floor';
+    }
+
+    /**
+     * Normalize declared dimensions (meters)
+     * @private
+     * @param {Object} dimensions - Raw dimensions
+     * @returns {Object|null} - Dimensions or null when incomplete
+     */
+    _normalizeDimensions(dimensions) {
+        if (!dimensions) return null;
+
+        const { width, depth, height } = dimensions;
+        const values = [width, depth, height].map(Number);
+        if (values.some(value => !(value > 0))) return null;
+
+        return { width: values[0], depth: values[1], height: values[2] };
+    }
+
+    /**
+     * Validate a single entry
+     * @private
+     * @param {Object} entry - Normalized entry
+     */
+    async _validateEntry(entry) {
+        entry.available = false;
+        entry.error = null;
+
+        if (!entry.path) {
+            entry.error = 'No asset path declared';
+            return;
+        }
+
+        if (entry.type !== 'gltf') {
+            entry.error = `Unsupported model type '${entry.type}'`;
+            return;
+        }
+
+        if (!this.options.validateAssets) {
+            entry.available = true;
+            return;
+        }
+
+        try {
+            await this._checkAsset(entry.path);
+            entry.available = true;
+        } catch (error) {
+            entry.error = error.message;
+        }
+    }
+
+    /**
+     * Check that an asset exists and looks like glTF
+     * @private
+     * @param {string} path - Asset path
+     */
+    async _checkAsset(path) {
+        const response = await fetch(encodeURI(path), {
+            headers: { Range: 'bytes=0-11' }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Asset not found (${response.status})`);
+        }
+
+        const header = new Uint8Array(await response.arrayBuffer());
+
+        if (path.toLowerCase().endsWith('.glb')) {
+            const magic = String.fromCharCode(...header.slice(0, 4));
+            if (magic !== 'glTF') {
+                throw new Error('Asset is not a valid GLB file');
+            }
+        } else if (header.length === 0) {
+            throw new Error('Asset is empty');
+        }
+    }
+}
+
+ModelCatalog.PLACEMENTS = ['floor', 'wall', 'ceiling', 'any'];
+
+// Export to global scope
+window.ModelCatalog = ModelCatalog;
@@ -0,0 +1,564 @@
+/**
+ * Performance Report schema for WebXR World-Locked AR Experience
+ * The one shape every performance and error report takes, whether it is
+ * sent by the tracker or exported by the AR manager. Fields, their types
+ * and units are listed in PerformanceReport.FIELDS; numbers are always
+ * numbers, and values that could not be measured are null.
+ */
+class PerformanceReport {
+    /**
+     * Create an empty report of a kind
+     * @param {string} kind - 'performance' or 'error'
+     * @param {Object} body - Report fields
+     * @returns {Object} - Report
+     */
+    static create(kind, body) {
+        return {
+            schema: PerformanceReport.SCHEMA,
+            version: PerformanceReport.VERSION,
+            kind,
+            ...body
+        };
+    }
+
+    /**
+     * Check a report against the schema
+     * @param {Object} report - Report to check
+     * @returns {Array<string>} - Problems found; empty when the report is valid
+     */
+    static validate(report) {
+        if (!report || typeof report !== 'object') {
+            return ['Report is not an object'];
+        }
+        if (report.schema !== PerformanceReport.SCHEMA) {
+            return [`Unknown schema: ${report.schema}`];
+        }
+        if (report.version !== PerformanceReport.VERSION) {
+            return [`Unsupported version: ${report.version}`];
+        }
+
+        const fields = PerformanceReport.FIELDS[report.kind];
+        if (!fields) {
+            return [`Unknown report kind: ${report.kind}`];
+        }
+
+        const errors = [];
+        [...PerformanceReport.FIELDS.common, ...fields].forEach(field => {
+            const value = PerformanceReport._get(report, field.path);
+            const problem = PerformanceReport._checkValue(value, field);
+            if (problem) errors.push(`${field.path} ${problem}`);
+        });
+
+        if (report.kind === 'performance') {
+            Object.entries(report.objectTimings || {}).forEach(([objectId, timing]) => {
+                PerformanceReport.TIMING_FIELDS.forEach(field => {
+                    const problem = PerformanceReport._checkValue(timing?.[field.path], field);
+                    if (problem) errors.push(`objectTimings.${objectId}.${field.path} ${problem}`);
+                });
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a report and throw when it is malformed
+     * @param {Object} report - Report to check
+     * @returns {Object} - The same report
+     */
+    static assertValid(report) {
+        const errors = PerformanceReport.validate(report);
+        if (errors.length > 0) {
+            throw new Error(`Invalid performance report: ${errors.join('; ')}`);
+        }
+        return report;
+    }
+
+    /**
+     * Upgrade an older payload to the current schema. Understands the flat
+     * tracker payload sent to Google Sheets and the nested '1.0.0' export.
+     * @param {Object|string} data - Report or JSON string
+     * @returns {Object} - Report in the current schema
+     */
+    static migrate(data) {
+        const payload = typeof data === 'string' ? JSON.parse(data) : data;
+
+        if (payload?.schema === PerformanceReport.SCHEMA) {
+            if (payload.version > PerformanceReport.VERSION) {
+                throw new Error(`Report version ${payload.version} is newer than this build supports`);
+            }
+            // Later versions only add fields, which older reports did not measure
+            return payload.version === PerformanceReport.VERSION ? payload :
+                PerformanceReport._fillMissing({ ...payload, version: PerformanceReport.VERSION });
+        }
+        if (payload?.metadata?.version === '1.0.0') {
+            return PerformanceReport._migrateExport(payload);
+        }
+        if (payload?.type === 'error' && payload.data) {
+            return PerformanceReport._migrateError(payload);
+        }
+        if (payload?.sessionId && 'fps' in payload) {
+            return PerformanceReport._migrateFlat(payload);
+        }
+
+        throw new Error('Not a recognised performance report');
+    }
+
+    /**
+     * Flatten a report into the column layout of the Google Sheets script
+     * @param {Object} report - Report in the current schema
+     * @returns {Object} - Flat row
+     */
+    static toLegacy(report) {
+        if (report.kind === 'error') {
+            return {
+                type: 'error',
+                reportId: report.reportId,
+                data: {
+                    timestamp: report.timestamp,
+                    ...report.error,
+                    userAgent: report.device.userAgent
+                }
+            };
+        }
+
+        const row = {
+            sessionId: report.sessionId,
+            reportId: report.reportId,
+            sequence: report.sequence,
+            timestamp: report.timestamp
+        };
+        Object.entries(PerformanceReport.LEGACY_FIELDS).forEach(([column, path]) => {
+            const value = PerformanceReport._get(report, path);
+            if (value === undefined) return;
+
+            if (value === null) {
+                row[column] = 'N/A';
+            } else {
+                row[column] = typeof value === 'object' ? JSON.stringify(value) : value;
+            }
+        });
+        row.gpu = row.gpuInfo;
+        row.objectTimings = JSON.stringify(report.objectTimings || {});
+        return row;
+    }
+
+    /**
+     * Upgrade the flat payload the tracker used to send
+     * @private
+     */
+    static _migrateFlat(payload) {
+        const report = PerformanceReport.create('performance', {
+            sessionId: payload.sessionId,
+            timestamp: payload.timestamp || new Date().toISOString(),
+            objectTimings: {}
+        });
+        if (payload.reportId) report.reportId = payload.reportId;
+        if (payload.sequence !== undefined) report.sequence = Number(payload.sequence);
+
+        const fields = PerformanceReport._fieldsByPath();
+        Object.entries(PerformanceReport.LEGACY_FIELDS).forEach(([column, path]) => {
+            if (!(column in payload)) return;
+            PerformanceReport._set(report, path, PerformanceReport._coerce(payload[column], fields[path]));
+        });
+        if (report.device?.gpu === undefined && payload.gpu !== undefined) {
+            PerformanceReport._set(report, 'device.gpu', String(payload.gpu));
+        }
+
+        let timings = payload.objectTimings || {};
+        if (typeof timings === 'string') {
+            try {
+                timings = JSON.parse(timings);
+            } catch (error) {
+                timings = {};
+            }
+        }
+        Object.entries(timings).forEach(([objectId, timing]) => {
+            report.objectTimings[objectId] = {};
+            PerformanceReport.TIMING_FIELDS.forEach(field => {
+                report.objectTimings[objectId][field.path] = PerformanceReport._coerce(timing?.[field.path], field);
+            });
+        });
+
+        return PerformanceReport._fillMissing(report);
+    }
+
+    /**
+     * Upgrade the nested '1.0.0' export of the AR manager
+     * @private
+     */
+    static _migrateExport(payload) {
+        const { metadata, hardware = {}, performance = {}, arStatus = {}, session = {} } = payload;
+        const [screenWidth, screenHeight] = (hardware.screenResolution || '').split('x').map(Number);
+
+        const report = PerformanceReport.create('performance', {
+            sessionId: metadata.sessionId,
+            timestamp: metadata.timestamp,
+            session: {
+                elapsed: session.elapsedTime ?? 0,
+                initialized: session.initialized,
+                arSupported: session.arSupported,
+                viewerMode: session.viewerMode
+            },
+            device: {
+                userAgent: metadata.userAgent,
+                screenWidth: screenWidth || null,
+                screenHeight: screenHeight || null,
+                devicePixelRatio: hardware.devicePixelRatio ?? null,
+                gpu: hardware.gpu || 'Unknown',
+                platform: hardware.platform,
+                viewport: hardware.viewport
+            },
+            performance: {
+                fps: performance.fps ?? null,
+                latency: performance.avgLatency ?? null,
+                memory: performance.memoryUsage ?? null,
+                cpuUsage: performance.cpuUsage ?? null,
+                gpuUsage: performance.gpuUsage ?? null,
+                renderTime: performance.renderTime ?? null,
+                totalFrames: performance.frameCount ?? null,
+                droppedFrames: performance.droppedFrames ?? null
+            },
+            tracking: {
+                quality: arStatus.trackingQuality || 'N/A',
+                planeDetection: !!arStatus.planeDetection,
+                surfacesDetected: arStatus.surfacesDetected ?? null,
+                mappedArea: arStatus.mappedArea ?? null,
+                depthSensing: arStatus.depthOcclusion || 'off'
+            },
+            ar: {
+                objectsPlaced: arStatus.objectsPlaced ?? 0,
+                activeModel: arStatus.activeModel || 'None',
+                currentScale: arStatus.currentScale ?? 1,
+                lightEstimation: arStatus.lightEstimation || 'default',
+                lightEstimate: arStatus.lightEstimate || null,
+                depthOcclusion: arStatus.depthOcclusion || 'off',
+                occlusionQuality: arStatus.occlusionQuality,
+                sessionActive: !!arStatus.sessionActive,
+                isInAR: !!arStatus.isInAR
+            },
+            objectTimings: {}
+        });
+
+        Object.entries(payload.objectTimings || {}).forEach(([objectId, timing]) => {
+            report.objectTimings[objectId] = {
+                loadTime: timing.loadTime ?? null,
+                startTime: timing.startTime ?? null,
+                appearTime: timing.appearTime ?? null
+            };
+        });
+
+        return PerformanceReport._fillMissing(report);
+    }
+
+    /**
+     * Upgrade an error report
+     * @private
+     */
+    static _migrateError(payload) {
+        const { timestamp, context, message, stack, userAgent, url } = payload.data;
+        return PerformanceReport.create('error', {
+            sessionId: payload.sessionId || 'unknown',
+            timestamp: timestamp || new Date().toISOString(),
+            device: { userAgent: userAgent || 'unknown' },
+            error: {
+                context: context || 'unknown',
+                message: message || '',
+                stack: stack || null,
+                url: url || ''
+            }
+        });
+    }
+
+    /**
+     * Set required fields an older payload did not have to null, or to the
+     * type's empty value when the field cannot be null
+     * @private
+     */
+    static _fillMissing(report) {
+        [...PerformanceReport.FIELDS.common, ...PerformanceReport.FIELDS[report.kind]].forEach(field => {
+            const value = PerformanceReport._get(report, field.path);
+            if (value !== undefined && !(value === null && !field.nullable)) return;
+
+            if (field.optional) {
+                if (value !== undefined) PerformanceReport._set(report, field.path, undefined);
+            } else if (field.nullable) {
+                PerformanceReport._set(report, field.path, null);
+            } else {
+                PerformanceReport._set(report, field.path, PerformanceReport.EMPTY_VALUES[field.type]);
+            }
+        });
+        return JSON.parse(JSON.stringify(report));
+    }
+
+    /**
+     * Convert a legacy value ('12.5', 'N/A', 'true') to a field's type
+     * @private
+     */
+    static _coerce(value, field) {
+        if (value === undefined || value === null || value === 'N/A' || value === '') {
+            return field?.nullable ? null : undefined;
+        }
+        switch (field?.type) {
+            case 'number': {
+                const number = parseFloat(value);
+                return Number.isFinite(number) ? number : (field.nullable ? null : undefined);
+            }
+            case 'boolean':
+                return value === true || value === 'true';
+            case 'string':
+                return String(value);
+            case 'object':
+            case 'array':
+                if (typeof value !== 'string') return value;
+                try {
+                    return JSON.parse(value);
+                } catch (error) {
+                    return undefined;
+                }
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Describe why a value does not fit a field, or return null
+     * @private
+     */
+    static _checkValue(value, field) {
+        if (value === undefined) {
+            return field.optional ? null : 'is missing';
+        }
+        if (value === null) {
+            return field.nullable ? null : 'must not be null';
+        }
+
+        switch (field.type) {
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value) ? null : `must be a number (${field.unit})`;
+            case 'object':
+                return typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+            case 'array':
+                return Array.isArray(value) ? null : 'must be an array';
+            default:
+                return typeof value === field.type ? null : `must be a ${field.type}`;
+        }
+    }
+
+    /**
+     * @private
+     */
+    static _fieldsByPath() {
+        const fields = {};
+        Object.values(PerformanceReport.FIELDS).flat().forEach(field => {
+            fields[field.path] = field;
+        });
+        return fields;
+    }
+
+    /**
+     * @private
+     */
+    static _get(object, path) {
+        return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+    }
+
+    /**
+     * @private
+     */
+    static _set(object, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((target, key) => {
+            if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+            return target[key];
+        }, object);
+
+        if (value === undefined) {
+            delete parent[last];
+        } else {
+            parent[last] = value;
+        }
+    }
+}
+
+PerformanceReport.SCHEMA = 'wxr-performance-report';
+PerformanceReport.VERSION = 6;
+
+// Field list per report kind: path, type, unit, and whether it may be null or left out
+PerformanceReport.FIELDS = {
+    common: [
+        { path: 'kind', type: 'string' },
+        { path: 'sessionId', type: 'string' },
+        { path: 'timestamp', type: 'string', unit: 'ISO 8601' },
+        { path: 'reportId', type: 'string', optional: true },
+        { path: 'sequence', type: 'number', unit: 'count', optional: true },
+        { path: 'device.userAgent', type: 'string' }
+    ],
+    performance: [
+        { path: 'session.elapsed', type: 'number', unit: 's' },
+        { path: 'session.initialized', type: 'boolean', optional: true },
+        { path: 'session.arSupported', type: 'boolean', optional: true },
+        { path: 'session.viewerMode', type: 'boolean', optional: true },
+        // Frame timing source and XR compositor rates, added in version 4
+        { path: 'session.frameSource', type: 'string', nullable: true },
+        { path: 'session.targetFrameRate', type: 'number', unit: 'fps', nullable: true },
+        { path: 'session.supportedFrameRates', type: 'array', unit: 'fps', nullable: true },
+
+        { path: 'device.screenWidth', type: 'number', unit: 'px', nullable: true },
+        { path: 'device.screenHeight', type: 'number', unit: 'px', nullable: true },
+        { path: 'device.devicePixelRatio', type: 'number', unit: 'ratio', nullable: true },
+        { path: 'device.orientation', type: 'number', unit: 'deg', optional: true },
+        { path: 'device.arMode', type: 'string', optional: true },
+        { path: 'device.arVersion', type: 'string', optional: true },
+        { path: 'device.platform', type: 'string', optional: true },
+        { path: 'device.viewport', type: 'string', unit: 'px', optional: true },
+        { path: 'device.gpu', type: 'string' },
+
+        { path: 'performance.fps', type: 'number', unit: 'fps', nullable: true },
+        { path: 'performance.latency', type: 'number', unit: 'ms', nullable: true },
+        { path: 'performance.memory', type: 'number', unit: 'MB', nullable: true },
+        { path: 'performance.cpuUsage', type: 'number', unit: '%', nullable: true },
+        { path: 'performance.gpuUsage', type: 'number', unit: '%', nullable: true },
+        { path: 'performance.renderTime', type: 'number', unit: 'ms', nullable: true },
+        { path: 'performance.jsExecutionTime', type: 'number', unit: 'ms', nullable: true },
+        { path: 'performance.gcTime', type: 'number', unit: 'ms', nullable: true },
+        { path: 'performance.totalFrames', type: 'number', unit: 'count', nullable: true },
+        { path: 'performance.droppedFrames', type: 'number', unit: 'count', nullable: true },
+
+        // Whole-session frame time distribution, added in version 3
+        { path: 'frameTime.count', type: 'number', unit: 'count', nullable: true },
+        { path: 'frameTime.mean', type: 'number', unit: 'ms', nullable: true },
+        { path: 'frameTime.p50', type: 'number', unit: 'ms', nullable: true },
+        { path: 'frameTime.p90', type: 'number', unit: 'ms', nullable: true },
+        { path: 'frameTime.p95', type: 'number', unit: 'ms', nullable: true },
+        { path: 'frameTime.p99', type: 'number', unit: 'ms', nullable: true },
+        { path: 'frameTime.max', type: 'number', unit: 'ms', nullable: true },
+        // Jank threshold (ms) -> number of frames longer than it
+        { path: 'frameTime.jank', type: 'object', unit: 'count', nullable: true },
+
+        // GPU time per frame, added in version 5. source is 'measured' (timer queries),
+        // 'estimated' (call-count heuristic) or 'unavailable', and also qualifies
+        // performance.gpuUsage; the times are only set when measured
+        { path: 'gpuTime.source', type: 'string', nullable: true },
+        { path: 'gpuTime.count', type: 'number', unit: 'count', nullable: true },
+        { path: 'gpuTime.mean', type: 'number', unit: 'ms', nullable: true },
+        { path: 'gpuTime.p50', type: 'number', unit: 'ms', nullable: true },
+        { path: 'gpuTime.p90', type: 'number', unit: 'ms', nullable: true },
+        { path: 'gpuTime.p95', type: 'number', unit: 'ms', nullable: true },
+        { path: 'gpuTime.p99', type: 'number', unit: 'ms', nullable: true },
+        { path: 'gpuTime.max', type: 'number', unit: 'ms', nullable: true },
+
+        // three.js renderer.info of the last frame, added in version 6
+        { path: 'scene.calls', type: 'number', unit: 'count', nullable: true },
+        { path: 'scene.triangles', type: 'number', unit: 'count', nullable: true },
+        { path: 'scene.points', type: 'number', unit: 'count', nullable: true },
+        { path: 'scene.lines', type: 'number', unit: 'count', nullable: true },
+        { path: 'scene.geometries', type: 'number', unit: 'count', nullable: true },
+        { path: 'scene.textures', type: 'number', unit: 'count', nullable: true },
+        { path: 'scene.programs', type: 'number', unit: 'count', nullable: true },
+        { path: 'scene.objectsPlaced', type: 'number', unit: 'count', nullable: true },
+        // Pearson correlation of placed objects and frame time (-1 to 1)
+        { path: 'scene.frameTimeCorrelation', type: 'number', unit: 'ratio', nullable: true },
+        // [{ objects, frames, calls, triangles, frameTime (ms) }] averaged per object count
+        { path: 'scene.byObjectCount', type: 'array', nullable: true },
+
+        { path: 'tracking.quality', type: 'string' },
+        { path: 'tracking.confidence', type: 'number', unit: 'ratio', nullable: true },
+        { path: 'tracking.planeDetection', type: 'boolean' },
+        { path: 'tracking.surfacesDetected', type: 'number', unit: 'count', nullable: true },
+        { path: 'tracking.horizontalPlanes', type: 'number', unit: 'count', nullable: true },
+        { path: 'tracking.verticalPlanes', type: 'number', unit: 'count', nullable: true },
+        { path: 'tracking.mappedArea', type: 'number', unit: 'm²', nullable: true },
+        { path: 'tracking.depthSensing', type: 'string' },
+        { path: 'tracking.depthPassTime', type: 'number', unit: 'ms', nullable: true },
+
+        { path: 'ar.objectsPlaced', type: 'number', unit: 'count', optional: true },
+        { path: 'ar.activeModel', type: 'string', optional: true },
+        { path: 'ar.currentScale', type: 'number', unit: 'ratio', optional: true },
+        { path: 'ar.lightEstimation', type: 'string', optional: true },
+        { path: 'ar.lightEstimate', type: 'object', optional: true, nullable: true },
+        { path: 'ar.depthOcclusion', type: 'string', optional: true },
+        { path: 'ar.occlusionQuality', type: 'string', optional: true },
+        { path: 'ar.sessionActive', type: 'boolean', optional: true },
+        { path: 'ar.isInAR', type: 'boolean', optional: true },
+
+        { path: 'objectTimings', type: 'object' }
+    ],
+    error: [
+        { path: 'error.context', type: 'string' },
+        { path: 'error.message', type: 'string' },
+        { path: 'error.stack', type: 'string', nullable: true },
+        { path: 'error.url', type: 'string' }
+    ]
+};
+
+// Fields of each objectTimings entry; times are relative to the start of tracking
+PerformanceReport.TIMING_FIELDS = [
+    { path: 'loadTime', type: 'number', unit: 'ms', nullable: true },
+    { path: 'startTime', type: 'number', unit: 'ms', nullable: true },
+    { path: 'appearTime', type: 'number', unit: 'ms', nullable: true }
+];
+
+// Column of the Google Sheets script -> field path
+PerformanceReport.LEGACY_FIELDS = {
+    elapsedTime: 'session.elapsed',
+    frameSource: 'session.frameSource',
+    targetFrameRate: 'session.targetFrameRate',
+    supportedFrameRates: 'session.supportedFrameRates',
+    fps: 'performance.fps',
+    latency: 'performance.latency',
+    memory: 'performance.memory',
+    cpu: 'performance.cpuUsage',
+    gpuUsage: 'performance.gpuUsage',
+    gpuInfo: 'device.gpu',
+    trackingQuality: 'tracking.quality',
+    trackingConfidence: 'tracking.confidence',
+    surfacesDetected: 'tracking.surfacesDetected',
+    horizontalPlanes: 'tracking.horizontalPlanes',
+    verticalPlanes: 'tracking.verticalPlanes',
+    mappedArea: 'tracking.mappedArea',
+    planeDetection: 'tracking.planeDetection',
+    droppedFrames: 'performance.droppedFrames',
+    totalFrames: 'performance.totalFrames',
+    renderTime: 'performance.renderTime',
+    jsExecutionTime: 'performance.jsExecutionTime',
+    gcTime: 'performance.gcTime',
+    depthSensing: 'tracking.depthSensing',
+    depthPassTime: 'tracking.depthPassTime',
+    frameTimeP50: 'frameTime.p50',
+    frameTimeP90: 'frameTime.p90',
+    frameTimeP95: 'frameTime.p95',
+    frameTimeP99: 'frameTime.p99',
+    longestStall: 'frameTime.max',
+    jankFrames: 'frameTime.jank',
+    gpuTimeSource: 'gpuTime.source',
+    drawCalls: 'scene.calls',
+    triangles: 'scene.triangles',
+    geometries: 'scene.geometries',
+    textures: 'scene.textures',
+    objectsPlaced: 'scene.objectsPlaced',
+    frameTimeCorrelation: 'scene.frameTimeCorrelation',
+    sceneByObjectCount: 'scene.byObjectCount',
+    gpuTimeP50: 'gpuTime.p50',
+    gpuTimeP95: 'gpuTime.p95',
+    gpuTimeP99: 'gpuTime.p99',
+    userAgent: 'device.userAgent',
+    screenWidth: 'device.screenWidth',
+    screenHeight: 'device.screenHeight',
+    devicePixelRatio: 'device.devicePixelRatio',
+    orientation: 'device.orientation',
+    arMode: 'device.arMode',
+    arVersion: 'device.arVersion'
+};
+
+PerformanceReport.EMPTY_VALUES = {
+    number: 0,
+    string: 'unknown',
+    boolean: false,
+    object: {},
+    array: []
+};
+
+// Export to global scope
+window.PerformanceReport = PerformanceReport;
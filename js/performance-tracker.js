@@ -7,7 +7,6 @@ class PerformanceTracker {
         this.options = {
             updateInterval: 1000,
             reportInterval: 30000,
-            reportURL: 'https://script.google.com/macros/s/AKfycbyX_bSfX1_qhXPy_5zd7PTosSlFRkqffqnDT8eDD9NFcXL6K0aoWadzoqjknRJJuh4o4Q/exec',
             maxLatencySamples: 30,
             deviceInfo: {
                 userAgent: navigator.userAgent,
@@ -19,12 +18,26 @@ class PerformanceTracker {
             showNotification: null,
             webGLContext: null,
             captureSpectorFrames: 10,
+            // Report transport specs or instances; null uses ReportTransport.getPageConfig()
+            transports: null,
             ...options
         };
 
         // FIXED: Create session ID once and store globally to prevent flickering
         this.sessionId = this._getOrCreateSessionId();
 
+        // Frame times of the whole session; frameLatencies only holds the recent ones
+        this.frameHistogram = new FrameTimeHistogram();
+        // GPU time per frame, measured when the render context supports timer queries
+        this.gpuTimeHistogram = new FrameTimeHistogram({ bucketWidth: 0.1, maxTime: 100 });
+        this.gpuTimer = null;
+        this.gpuTimerContext = null;
+        this.gpuTimeWindow = 0; // ms of GPU time since the last metrics update
+        // Frames measured and frames rendered since the last metrics update; the GPU timer
+        // skips frames while its queries are pending, so usage is scaled by the share timed
+        this.gpuTimedFrames = 0;
+        this.gpuRenderedFrames = 0;
+
         this.metrics = {
             fps: 0,
             frameCount: 0,
@@ -33,7 +46,18 @@ class PerformanceTracker {
             trackingQuality: 'N/A',
             trackingConfidence: 0,
             surfacesDetected: 0,
+            mappedArea: 0,
+            horizontalPlanes: 0,
+            verticalPlanes: 0,
+            planeDetection: false,
+            depthSensing: 'off',
+            depthPassTime: 0,
             frameLatencies: [],
+            frameTimes: this.frameHistogram.getStats(),
+            // 'window' in preview, 'xr' while an XR session drives frame timing
+            frameSource: 'window',
+            xrFrameRate: null,
+            supportedFrameRates: null,
             startTime: 0,
             lastFpsUpdateTime: 0,
             lastFrameTime: 0,
@@ -43,19 +67,29 @@ class PerformanceTracker {
             droppedFrames: 0,
             gpuInfo: 'Unknown',
             cpuUsage: 0,
-            gpuUsage: 0,
+            // null unless measured or estimated; gpuTimeSource says which
+            gpuUsage: null,
+            gpuTimeSource: 'unavailable',
+            gpuTimes: this.gpuTimeHistogram.getStats(),
             objectTimings: {},
             objectStartTime: null,
             objectAppearanceTime: null,
             renderTime: 0,
             jsExecutionTime: 0,
-            gcTime: 0
+            gcTime: 0,
+            // Last frame's three.js renderer.info, null until a renderer reports
+            renderer: null,
+            objectsPlaced: null
         };
 
         this.elements = this._initializeElements();
         this.isTracking = false;
         this.animationFrameId = null;
+        this.xrSession = null;
+        this.lastXRFrameTime = null;
+        this._onXRFrameRateChange = () => this._readXRFrameRate();
         this.reportingInterval = null;
+        this.transports = [];
         this.lastUIUpdate = 0;
         this.spector = null;
         this.frameTimeMarkers = {};
@@ -65,21 +99,22 @@ class PerformanceTracker {
         this.lastUIUpdateTime = 0;
 
         // FIXED: GPU monitoring variables
-        this.gpuMonitoringActive = false;
         this.lastGPUCapture = 0;
         this.gpuCaptureInterval = 5000; // Capture every 5 seconds
         this.drawCallHistory = [];
         this.maxDrawCallHistory = 10;
         
-        // Alternative GPU usage estimation
+        // Alternative GPU usage estimation; draw calls come from recordRendererInfo()
         this.webglStats = {
             drawCalls: 0,
-            textureBinds: 0,
-            bufferBinds: 0,
-            programUses: 0,
             lastResetTime: performance.now()
         };
 
+        // Frame cost against scene size, for attributing slowdowns to scene complexity
+        this.lastFrameDuration = null;
+        this.objectCountStats = new Map();
+        this.sceneCorrelation = { n: 0, sumX: 0, sumY: 0, sumXY: 0, sumXX: 0, sumYY: 0 };
+
         // FIXED: Enhanced GC monitoring variables
         this.gcMonitoring = {
             lastMemoryCheck: performance.now(),
@@ -125,7 +160,6 @@ class PerformanceTracker {
         this._resetMetrics();
         this._startReporting();
         this._updateLoop();
-        this._startGPUMonitoring(); // Start GPU monitoring
         this._startGCMonitoring(); // FIXED: Start GC monitoring
         
         this._forceUIUpdate();
@@ -138,7 +172,6 @@ class PerformanceTracker {
         }
         
         this.isTracking = false;
-        this.gpuMonitoringActive = false; // Stop GPU monitoring
         console.log('Performance tracking stopped for session:', this.sessionId);
 
         if (this.animationFrameId) {
@@ -157,23 +190,85 @@ class PerformanceTracker {
         this._forceUIUpdate();
     }
 
+    // Window rAF frame; ignored while an XR session provides the frame timing
     markFrame() {
-        if (!this.isTracking) return;
+        if (!this.isTracking || this.xrSession) return;
 
         const now = performance.now();
         const frameTime = now - this.metrics.lastFrameTime;
         this.metrics.lastFrameTime = now;
+        this._recordFrame(frameTime, now);
+    }
+
+    // XR animation frame; timestamp is the one passed to the session's rAF callback
+    markXRFrame(timestamp) {
+        if (!this.isTracking || !this.xrSession) return;
+
+        if (this.lastXRFrameTime === null) {
+            // Measure FPS on the XR clock from the first frame on
+            this.metrics.lastFpsUpdateTime = timestamp;
+            this.metrics.frameCount = 0;
+        } else {
+            this._recordFrame(timestamp - this.lastXRFrameTime, timestamp);
+        }
+        this.lastXRFrameTime = timestamp;
+    }
+
+    // Take frame timing from an XR session instead of window rAF, which does not follow the compositor
+    attachXRSession(session) {
+        this.detachXRSession();
+
+        this.xrSession = session;
+        this.lastXRFrameTime = null;
+        this.metrics.frameSource = 'xr';
+        this._readXRFrameRate();
+        session.addEventListener('frameratechange', this._onXRFrameRateChange);
+
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+
+    detachXRSession() {
+        if (!this.xrSession) return;
+
+        this.xrSession.removeEventListener('frameratechange', this._onXRFrameRateChange);
+        this.xrSession = null;
+        this.lastXRFrameTime = null;
+        this.metrics.frameSource = 'window';
+        this.metrics.xrFrameRate = null;
+        this.metrics.supportedFrameRates = null;
+
+        // Back on the window clock for preview
+        const now = performance.now();
+        this.metrics.lastFrameTime = now;
+        this.metrics.lastFpsUpdateTime = now;
+        this.metrics.frameCount = 0;
+        if (this.isTracking && !this.animationFrameId) {
+            this._updateLoop();
+        }
+    }
+
+    _readXRFrameRate() {
+        if (!this.xrSession) return;
+        this.metrics.xrFrameRate = this.xrSession.frameRate ?? null;
+        this.metrics.supportedFrameRates = this.xrSession.supportedFrameRates ?
+            Array.from(this.xrSession.supportedFrameRates) : null;
+    }
 
+    _recordFrame(frameTime, now) {
         this.metrics.frameCount++;
         this.metrics.totalFrames++;
+        this.lastFrameDuration = frameTime;
         this.metrics.frameLatencies.push(frameTime);
+        this.frameHistogram.record(frameTime);
 
         if (this.metrics.frameLatencies.length > this.options.maxLatencySamples) {
             this.metrics.frameLatencies.shift();
         }
 
-        // Update GPU usage estimation based on frame activity
-        this._updateGPUUsageEstimation();
+        this._updateCPUFromFrameTime(frameTime);
 
         if (now - this.metrics.lastFpsUpdateTime > this.options.updateInterval) {
             this._updateMetrics(now);
@@ -212,6 +307,113 @@ class PerformanceTracker {
         return marker.loadTime;
     }
 
+    // Bracket the renderer's draw calls so GPU time per frame can be measured
+    beginGPUFrame() {
+        if (!this.isTracking) return;
+
+        const gl = this.options.webGLContext;
+        if (gl !== this.gpuTimerContext) {
+            this._initGPUTimer(gl);
+        }
+        if (this.gpuTimer) {
+            this.gpuRenderedFrames++;
+            this.gpuTimer.begin();
+        }
+    }
+
+    endGPUFrame() {
+        this.gpuTimer?.end();
+    }
+
+    // Per-frame three.js renderer.info, read right after the frame's render() call
+    recordRendererInfo(info, objectCount) {
+        if (!this.isTracking || !info) return;
+
+        const { render, memory } = info;
+        this.metrics.renderer = {
+            calls: render.calls,
+            triangles: render.triangles,
+            points: render.points,
+            lines: render.lines,
+            geometries: memory.geometries,
+            textures: memory.textures,
+            programs: info.programs ? info.programs.length : null
+        };
+        this.metrics.objectsPlaced = objectCount;
+        this.webglStats.drawCalls += render.calls;
+
+        if (this.lastFrameDuration !== null) {
+            this._correlateSceneLoad(objectCount, render, this.lastFrameDuration);
+        }
+    }
+
+    // Accumulate frame cost per placed-object count and the running sums for a correlation
+    _correlateSceneLoad(objectCount, render, frameTime) {
+        let stats = this.objectCountStats.get(objectCount);
+        if (!stats) {
+            stats = { frames: 0, calls: 0, triangles: 0, frameTime: 0 };
+            this.objectCountStats.set(objectCount, stats);
+        }
+        stats.frames++;
+        stats.calls += render.calls;
+        stats.triangles += render.triangles;
+        stats.frameTime += frameTime;
+
+        const c = this.sceneCorrelation;
+        c.n++;
+        c.sumX += objectCount;
+        c.sumY += frameTime;
+        c.sumXY += objectCount * frameTime;
+        c.sumXX += objectCount * objectCount;
+        c.sumYY += frameTime * frameTime;
+    }
+
+    // Pearson correlation of placed objects and frame time; null until the object count has varied
+    _getSceneCorrelation() {
+        const c = this.sceneCorrelation;
+        if (c.n < 2) return null;
+
+        const covariance = c.n * c.sumXY - c.sumX * c.sumY;
+        const variance = (c.n * c.sumXX - c.sumX * c.sumX) * (c.n * c.sumYY - c.sumY * c.sumY);
+        return variance > 0 ? covariance / Math.sqrt(variance) : null;
+    }
+
+    // Average frame cost for each placed-object count seen this session
+    _getObjectCountBreakdown() {
+        return [...this.objectCountStats.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([objects, stats]) => ({
+                objects,
+                frames: stats.frames,
+                calls: Number((stats.calls / stats.frames).toFixed(1)),
+                triangles: Math.round(stats.triangles / stats.frames),
+                frameTime: Number((stats.frameTime / stats.frames).toFixed(2))
+            }));
+    }
+
+    _initGPUTimer(gl) {
+        this.gpuTimer?.dispose();
+        this.gpuTimer = null;
+        this.gpuTimerContext = gl;
+
+        if (window.GPUTimer && GPUTimer.isSupported(gl)) {
+            this.gpuTimer = new GPUTimer(gl, {
+                onResult: gpuTime => this._recordGPUTime(gpuTime)
+            });
+            this.metrics.gpuTimeSource = 'measured';
+            console.log('GPU frame timing enabled with EXT_disjoint_timer_query_webgl2');
+        } else if (this.metrics.gpuTimeSource === 'measured') {
+            this.metrics.gpuTimeSource = 'unavailable';
+            this.metrics.gpuUsage = null;
+        }
+    }
+
+    _recordGPUTime(gpuTime) {
+        this.gpuTimeHistogram.record(gpuTime);
+        this.gpuTimeWindow += gpuTime;
+        this.gpuTimedFrames++;
+    }
+
     markRenderStart() {
         if (this.isTracking) {
             performance.mark('render-start');
@@ -231,6 +433,34 @@ class PerformanceTracker {
         }
     }
 
+    /**
+     * Record detected plane statistics
+     * @param {Object|null} stats - { count, horizontal, vertical, totalArea }, or null
+     *                              when plane detection is unavailable
+     */
+    setPlaneStats(stats) {
+        this.metrics.planeDetection = !!stats;
+        this.metrics.surfacesDetected = stats?.count || 0;
+        this.metrics.horizontalPlanes = stats?.horizontal || 0;
+        this.metrics.verticalPlanes = stats?.vertical || 0;
+        this.metrics.mappedArea = stats?.totalArea || 0;
+        this._throttledUIUpdate();
+    }
+
+    /**
+     * Record the CPU cost of reading and uploading depth data for a frame
+     * @param {number} milliseconds - Time spent in the depth pass
+     * @param {string} mode - 'cpu', 'gpu' or 'off'
+     */
+    recordDepthPass(milliseconds, mode) {
+        this.metrics.depthSensing = mode;
+        // Smooth per-frame noise the same way for every sample
+        this.metrics.depthPassTime = this.metrics.depthPassTime === 0 ?
+            milliseconds :
+            this.metrics.depthPassTime * 0.9 + milliseconds * 0.1;
+        this._throttledUIUpdate();
+    }
+
     getObjectLoadTime(objectId) {
         const timing = this.metrics.objectTimings[objectId];
         return timing ? timing.loadTime : null;
@@ -257,27 +487,54 @@ class PerformanceTracker {
             return;
         }
 
-        const reportData = this._buildReportData();
-        console.log('Sending performance data to server:', reportData);
-
-        fetch(this.options.reportURL, {
-            method: 'POST',
-            mode: 'no-cors',
-            headers: { 'Content-Type': 'application/json' }, 
-            body: JSON.stringify(reportData)
-        })
-        .then(res => {
-            if (res.ok || res.type === 'opaque') {
-                console.log('Performance data reported successfully');
-            } else {
-                return Promise.reject(`Server responded with status: ${res.status}`);
-            }
-        })
-        .catch(err => {
-            console.error('Failed to report performance data', err);
+        this.sendReport(this._buildReportData());
+    }
+
+    // Current metrics as a PerformanceReport
+    buildReport() {
+        return this._buildReportData();
+    }
+
+    // Deliver any PerformanceReport (performance, errors) to every configured transport
+    sendReport(report) {
+        if (this.transports.length === 0) {
+            console.log('No report transports configured, dropping report');
+            return;
+        }
+
+        const errors = PerformanceReport.validate(report);
+        if (errors.length > 0) {
+            console.error('Rejected malformed performance report:', errors, report);
+            return;
+        }
+
+        // Session ID plus sequence identifies a report, so retries and beacons can be deduplicated
+        report.sequence = this._nextReportSequence();
+        report.reportId = `${this.sessionId}-${report.sequence}`;
+        const identity = { sessionId: this.sessionId, sequence: report.sequence };
+        console.log('Sending performance report:', report);
+
+        this.transports.forEach(transport => {
+            Promise.resolve()
+                .then(() => transport.send(report, identity))
+                .catch(err => console.error(`Report transport '${transport.name}' failed`, err));
         });
     }
 
+    // Push out batched reports, e.g. pending file downloads, at the end of a session
+    flushReports() {
+        this.transports.forEach(transport => transport.flush());
+    }
+
+    // Sequence numbers follow the session ID, which may be shared by several trackers
+    _nextReportSequence() {
+        if (window._wxrReportSequenceSession !== this.sessionId) {
+            window._wxrReportSequenceSession = this.sessionId;
+            window._wxrReportSequence = 0;
+        }
+        return ++window._wxrReportSequence;
+    }
+
     // FIXED: Throttled UI update to prevent flickering
     _throttledUIUpdate() {
         const now = performance.now();
@@ -296,6 +553,7 @@ class PerformanceTracker {
     _initialize() {
         this._initPerformanceObserver();
         this._initEventListeners();
+        this._initTransports();
         this._getGPUInfo();
         this._initCPUMonitoring();
 
@@ -315,8 +573,10 @@ class PerformanceTracker {
         const elementIds = [
             'fps', 'latency', 'memory', 'tracking', 'cpu', 'gpu', 'objectTime', 
             'gpuUsage', 'sessionId', 'timestamp', 'elapsedTime', 'trackingConfidence',
-            'surfacesDetected', 'droppedFrames', 'totalFrames', 'renderTime',
-            'jsExecutionTime', 'gcTime'
+            'surfacesDetected', 'mappedArea', 'depthPassTime', 'droppedFrames', 'totalFrames', 'renderTime',
+            'jsExecutionTime', 'gcTime', 'reportQueue', 'frameTimePercentiles', 'jankFrames', 'longestStall',
+            'frameSource', 'gpuFrameTime', 'drawCalls', 'triangles', 'gpuResources', 'objectsPlaced',
+            'sceneCorrelation'
         ];
 
         const elements = {};
@@ -331,21 +591,28 @@ class PerformanceTracker {
         this.metrics.startTime = now;
         this.metrics.lastFpsUpdateTime = now;
         this.metrics.lastFrameTime = now;
+        this.lastXRFrameTime = null;
         this.metrics.frameCount = 0;
         this.metrics.frameLatencies = [];
+        this.frameHistogram.reset();
+        this.metrics.frameTimes = this.frameHistogram.getStats();
+        this.gpuTimeHistogram.reset();
+        this.metrics.gpuTimes = this.gpuTimeHistogram.getStats();
+        this.gpuTimeWindow = 0;
+        this.gpuTimedFrames = 0;
+        this.gpuRenderedFrames = 0;
         this.metrics.trackingQuality = 'Initializing';
         this.metrics.gcTime = 0; // FIXED: Reset GC time
         
         // Reset GPU stats
-        this.webglStats = {
-            drawCalls: 0,
-            textureBinds: 0,
-            bufferBinds: 0,
-            programUses: 0,
-            lastResetTime: now
-        };
+        this._resetWebGLStats(now);
         this.drawCallHistory = [];
 
+        // Reset scene statistics
+        this.lastFrameDuration = null;
+        this.objectCountStats.clear();
+        this.sceneCorrelation = { n: 0, sumX: 0, sumY: 0, sumXY: 0, sumXX: 0, sumYY: 0 };
+
         // FIXED: Reset GC monitoring data
         this.gcMonitoring = {
             ...this.gcMonitoring,
@@ -358,6 +625,24 @@ class PerformanceTracker {
         };
     }
 
+    _initTransports() {
+        if (!window.ReportTransport) {
+            console.warn('ReportTransport not available - reports will not be sent');
+            return;
+        }
+
+        const specs = this.options.transports || ReportTransport.getPageConfig();
+        specs.forEach(spec => {
+            try {
+                this.transports.push(ReportTransport.create(spec, {
+                    onStatusChange: () => this._forceUIUpdate()
+                }));
+            } catch (error) {
+                console.error('Failed to create report transport:', error);
+            }
+        });
+    }
+
     _startReporting() {
         if (this.reportingInterval) {
             clearInterval(this.reportingInterval);
@@ -373,7 +658,7 @@ class PerformanceTracker {
     }
 
     _updateLoop() {
-        if (!this.isTracking) {
+        if (!this.isTracking || this.xrSession) {
             if (this.animationFrameId) {
                 cancelAnimationFrame(this.animationFrameId);
                 this.animationFrameId = null;
@@ -404,6 +689,20 @@ class PerformanceTracker {
         } else {
             this.metrics.latency = 0;
         }
+        this.metrics.frameTimes = this.frameHistogram.getStats();
+
+        // GPU busy share of the interval, from measured GPU time only; the mean of the
+        // timed frames stands in for the frames the timer had to skip
+        if (this.metrics.gpuTimeSource === 'measured' && timeDiff > 0) {
+            if (this.gpuTimedFrames > 0) {
+                const gpuTime = this.gpuTimeWindow / this.gpuTimedFrames * Math.max(this.gpuRenderedFrames, this.gpuTimedFrames);
+                this.metrics.gpuUsage = Math.min(gpuTime / (timeDiff * 1000) * 100, 100);
+            }
+            this.metrics.gpuTimes = this.gpuTimeHistogram.getStats();
+        }
+        this.gpuTimeWindow = 0;
+        this.gpuTimedFrames = 0;
+        this.gpuRenderedFrames = 0;
 
         this.updateMemoryUsage();
 
@@ -538,71 +837,10 @@ class PerformanceTracker {
 
     // Alternative GPU monitoring method
     _initAlternativeGPUMonitoring() {
-        // Monitor canvas activity as GPU usage indicator
-        this._monitorCanvasActivity();
-        
-        // Estimate GPU usage based on various factors
+        // Estimate GPU usage from renderer draw calls and frame rate
         this._startGPUUsageEstimation();
     }
 
-    _monitorCanvasActivity() {
-        const canvases = document.querySelectorAll('canvas');
-        canvases.forEach(canvas => {
-            const context = canvas.getContext('webgl') || canvas.getContext('webgl2') || canvas.getContext('2d');
-            if (context) {
-                this._wrapWebGLCalls(context);
-            }
-        });
-    }
-
-    _wrapWebGLCalls(gl) {
-        if (!gl || gl._gpuMonitoringWrapped) return;
-        
-        const originalDrawArrays = gl.drawArrays;
-        const originalDrawElements = gl.drawElements;
-        const originalBindTexture = gl.bindTexture;
-        const originalBindBuffer = gl.bindBuffer;
-        const originalUseProgram = gl.useProgram;
-
-        gl.drawArrays = (...args) => {
-            if (this.isTracking) {
-                this.webglStats.drawCalls++;
-            }
-            return originalDrawArrays.apply(gl, args);
-        };
-
-        gl.drawElements = (...args) => {
-            if (this.isTracking) {
-                this.webglStats.drawCalls++;
-            }
-            return originalDrawElements.apply(gl, args);
-        };
-
-        gl.bindTexture = (...args) => {
-            if (this.isTracking) {
-                this.webglStats.textureBinds++;
-            }
-            return originalBindTexture.apply(gl, args);
-        };
-
-        gl.bindBuffer = (...args) => {
-            if (this.isTracking) {
-                this.webglStats.bufferBinds++;
-            }
-            return originalBindBuffer.apply(gl, args);
-        };
-
-        gl.useProgram = (...args) => {
-            if (this.isTracking) {
-                this.webglStats.programUses++;
-            }
-            return originalUseProgram.apply(gl, args);
-        };
-
-        gl._gpuMonitoringWrapped = true;
-        console.log('WebGL calls wrapped for GPU monitoring');
-    }
-
     _startGPUUsageEstimation() {
         setInterval(() => {
             if (this.isTracking) {
@@ -617,9 +855,21 @@ class PerformanceTracker {
 
         if (timeDiff < 1) return; // Wait at least 1 second
 
+        // Measured GPU time makes the call-count heuristic unnecessary
+        if (this.metrics.gpuTimeSource === 'measured') {
+            this._resetWebGLStats(now);
+            return;
+        }
+
+        // Without observed draw calls there is nothing to estimate from
+        if (this.webglStats.drawCalls === 0) {
+            this.metrics.gpuTimeSource = 'unavailable';
+            this.metrics.gpuUsage = null;
+            this._resetWebGLStats(now);
+            return;
+        }
+
         const drawCallsPerSecond = this.webglStats.drawCalls / timeDiff;
-        const textureBindsPerSecond = this.webglStats.textureBinds / timeDiff;
-        const bufferBindsPerSecond = this.webglStats.bufferBinds / timeDiff;
 
         // Estimate GPU usage based on call frequency
         let gpuUsage = 0;
@@ -627,12 +877,6 @@ class PerformanceTracker {
         // Draw calls contribute most to GPU usage
         gpuUsage += Math.min(drawCallsPerSecond * 2, 50); // Max 50% from draw calls
         
-        // Texture operations
-        gpuUsage += Math.min(textureBindsPerSecond * 0.5, 20); // Max 20% from textures
-        
-        // Buffer operations
-        gpuUsage += Math.min(bufferBindsPerSecond * 0.3, 15); // Max 15% from buffers
-        
         // Frame rate impact
         const fpsImpact = Math.max(0, (60 - this.metrics.fps) / 60 * 30); // Up to 30% based on FPS drop
         gpuUsage += fpsImpact;
@@ -643,60 +887,18 @@ class PerformanceTracker {
 
         // Clamp between 0-100
         this.metrics.gpuUsage = Math.min(Math.max(Math.round(gpuUsage), 0), 100);
+        this.metrics.gpuTimeSource = 'estimated';
 
-        // Add some randomness for realism if no real activity detected
-        if (this.webglStats.drawCalls === 0 && this.isTracking) {
-            this.metrics.gpuUsage = Math.max(5, Math.round(Math.random() * 25)); // 5-25% baseline
-        }
-
-        // Reset stats for next calculation
-        this.webglStats = {
-            drawCalls: 0,
-            textureBinds: 0,
-            bufferBinds: 0,
-            programUses: 0,
-            lastResetTime: now
-        };
+        this._resetWebGLStats(now);
 
         console.log(`GPU Usage estimated: ${this.metrics.gpuUsage}% (Draw calls/sec: ${drawCallsPerSecond.toFixed(1)})`);
     }
 
-    _updateGPUUsageEstimation() {
-        // Additional GPU usage estimation based on frame rendering
-        if (this.isTracking) {
-            const currentTime = performance.now();
-            const frameTime = currentTime - this.metrics.lastFrameTime;
-            
-            // Higher frame times might indicate more GPU work
-            if (frameTime > 16.67) { // Slower than 60fps
-                const slowdownFactor = Math.min(frameTime / 16.67, 3);
-                const additionalGPUUsage = Math.round(slowdownFactor * 10);
-                this.metrics.gpuUsage = Math.min(this.metrics.gpuUsage + additionalGPUUsage, 100);
-            }
-        }
-    }
-
-    _startGPUMonitoring() {
-        this.gpuMonitoringActive = true;
-        
-        // Try to find and monitor existing canvases
-        const checkCanvases = () => {
-            const canvases = document.querySelectorAll('canvas');
-            canvases.forEach(canvas => {
-                if (!canvas._gpuMonitored) {
-                    const context = canvas.getContext('webgl') || canvas.getContext('webgl2');
-                    if (context) {
-                        this._wrapWebGLCalls(context);
-                        canvas._gpuMonitored = true;
-                        console.log('Found and monitoring canvas for GPU usage');
-                    }
-                }
-            });
+    _resetWebGLStats(now) {
+        this.webglStats = {
+            drawCalls: 0,
+            lastResetTime: now
         };
-
-        // Check immediately and periodically for new canvases
-        checkCanvases();
-        setInterval(checkCanvases, 5000);
     }
 
     _updateUI() {
@@ -747,20 +949,74 @@ class PerformanceTracker {
         // Tracking metrics
         setElement('tracking', this.metrics.trackingQuality);
         setElement('trackingConfidence', this.metrics.trackingConfidence, 'decimal');
-        setElement('surfacesDetected', this.metrics.surfacesDetected);
+        if (this.metrics.planeDetection) {
+            setElement('surfacesDetected',
+                `${this.metrics.surfacesDetected} (${this.metrics.horizontalPlanes}H/${this.metrics.verticalPlanes}V)`);
+            setElement('mappedArea', `${this.metrics.mappedArea.toFixed(2)}m²`);
+        } else {
+            setElement('surfacesDetected', 'N/A');
+            setElement('mappedArea', 'N/A');
+        }
+
+        setElement('depthPassTime', this.metrics.depthSensing === 'off' ?
+            'Off' : `${this.metrics.depthPassTime.toFixed(2)}ms (${this.metrics.depthSensing.toUpperCase()})`);
 
         // System metrics
         setElement('cpu', this.metrics.cpuUsage, 'percentage',
             this.isTracking ? this._getColorFromUsage(this.metrics.cpuUsage) : null);
         setElement('gpu', this.metrics.gpuInfo);
         
-        // GPU Usage display with color coding
-        setElement('gpuUsage', this.metrics.gpuUsage, 'percentage',
-            this.isTracking ? this._getColorFromUsage(this.metrics.gpuUsage) : null);
+        // GPU Usage display with color coding, labelled with how it was obtained
+        if (this.metrics.gpuUsage === null) {
+            setElement('gpuUsage', 'N/A (unavailable)', 'default', null);
+        } else {
+            setElement('gpuUsage', `${this.metrics.gpuUsage.toFixed(1)}% (${this.metrics.gpuTimeSource})`, 'default',
+                this.isTracking ? this._getColorFromUsage(this.metrics.gpuUsage) : null);
+        }
+
+        const gpuTimes = this.metrics.gpuTimes;
+        if (this.metrics.gpuTimeSource === 'measured' && gpuTimes.count > 0) {
+            setElement('gpuFrameTime',
+                `${gpuTimes.p50.toFixed(2)} / ${gpuTimes.p95.toFixed(2)} / ${gpuTimes.p99.toFixed(2)}ms`);
+        } else {
+            setElement('gpuFrameTime', this.metrics.gpuTimeSource === 'measured' ? 'Measuring...' : 'Unavailable');
+        }
 
         // Frame metrics
         setElement('droppedFrames', this.metrics.droppedFrames);
         setElement('totalFrames', this.metrics.totalFrames);
+        setElement('frameSource', this._formatFrameSource());
+
+        // Scene complexity from renderer.info
+        const rendererStats = this.metrics.renderer;
+        if (rendererStats) {
+            setElement('drawCalls', rendererStats.calls);
+            setElement('triangles', rendererStats.triangles.toLocaleString());
+            setElement('gpuResources', `${rendererStats.geometries} geo / ${rendererStats.textures} tex` +
+                (rendererStats.programs !== null ? ` / ${rendererStats.programs} prog` : ''));
+            setElement('objectsPlaced', this.metrics.objectsPlaced);
+        } else {
+            setElement('drawCalls', '-');
+            setElement('triangles', '-');
+            setElement('gpuResources', '-');
+            setElement('objectsPlaced', '-');
+        }
+        const sceneCorrelation = this._getSceneCorrelation();
+        setElement('sceneCorrelation', sceneCorrelation === null ? '-' : `r = ${sceneCorrelation.toFixed(2)}`);
+
+        const frameTimes = this.metrics.frameTimes;
+        if (frameTimes.count > 0) {
+            setElement('frameTimePercentiles',
+                `${frameTimes.p50.toFixed(1)} / ${frameTimes.p95.toFixed(1)} / ${frameTimes.p99.toFixed(1)}ms`,
+                'default', this.isTracking ? this._getColorFromLatency(frameTimes.p95) : null);
+            setElement('jankFrames', FrameTimeHistogram.JANK_THRESHOLDS.map(threshold => frameTimes.jank[threshold]).join(' / '));
+            setElement('longestStall', frameTimes.max, 'time',
+                this.isTracking ? this._getColorFromLatency(frameTimes.max) : null);
+        } else {
+            setElement('frameTimePercentiles', '-');
+            setElement('jankFrames', '-');
+            setElement('longestStall', '-');
+        }
 
         // Timing metrics
         setElement('renderTime', this.metrics.renderTime, 'time');
@@ -777,6 +1033,57 @@ class PerformanceTracker {
         } else if (!this.isTracking) {
             setElement('objectTime', '-ms');
         }
+
+        const queueStatus = this._getQueueStatus();
+        if (queueStatus) {
+            setElement('reportQueue', this._formatQueueStatus(queueStatus),
+                'default', queueStatus.lastError && queueStatus.pending > 0 ? '#FFC107' : null);
+        } else {
+            setElement('reportQueue', 'Off');
+        }
+    }
+
+    _formatFrameSource() {
+        if (this.metrics.frameSource !== 'xr') return 'Window rAF';
+
+        const target = this.metrics.xrFrameRate ? ` @ ${Math.round(this.metrics.xrFrameRate)}Hz` : '';
+        const supported = this.metrics.supportedFrameRates?.length ?
+            ` (${this.metrics.supportedFrameRates.map(rate => Math.round(rate)).join('/')})` : '';
+        return `XR${target}${supported}`;
+    }
+
+    // Combined state of all transports that queue reports
+    _getQueueStatus() {
+        const statuses = this.transports.map(transport => transport.getStatus()).filter(Boolean);
+        if (statuses.length === 0) return null;
+
+        const retries = statuses.map(status => status.nextRetryIn).filter(delay => delay !== null);
+        return {
+            pending: statuses.reduce((sum, status) => sum + status.pending, 0),
+            storage: statuses.some(status => status.storage === 'memory') ? 'memory' : 'indexeddb',
+            online: statuses.every(status => status.online),
+            nextRetryIn: retries.length > 0 ? Math.min(...retries) : null,
+            lastError: statuses.map(status => status.lastError).find(Boolean) || null,
+            dropped: statuses.reduce((sum, status) => sum + status.dropped, 0)
+        };
+    }
+
+    _formatQueueStatus(status) {
+        let text;
+        if (status.pending === 0) {
+            text = 'Empty';
+        } else if (!status.online) {
+            text = `${status.pending} pending (offline)`;
+        } else if (status.nextRetryIn > 0) {
+            text = `${status.pending} pending, retry in ${Math.ceil(status.nextRetryIn / 1000)}s`;
+        } else {
+            text = `${status.pending} sending`;
+        }
+
+        if (status.dropped > 0) {
+            text += `, ${status.dropped} dropped`;
+        }
+        return status.storage === 'memory' ? `${text} (memory only)` : text;
     }
 
     _updateObjectUI(objectId, loadTime) {
@@ -789,59 +1096,94 @@ class PerformanceTracker {
     _buildReportData() {
         const now = performance.now();
         const elapsedTime = this.metrics.startTime > 0 ? (now - this.metrics.startTime) / 1000 : 0;
-        
-        const formattedObjectTimings = {};
+        const round = (value, digits = 2) => Number(value.toFixed(digits));
+        const sinceStart = time => (time && this.metrics.startTime > 0 ? round(time - this.metrics.startTime) : null);
+        const roundOrNull = value => (value === null ? null : round(value));
+        const frameTimes = this.frameHistogram.getStats();
+        const gpuTimes = this.gpuTimeHistogram.getStats();
+        const measuredGPU = this.metrics.gpuTimeSource === 'measured';
+
+        const objectTimings = {};
         Object.keys(this.metrics.objectTimings).forEach(objId => {
             const timing = this.metrics.objectTimings[objId];
-            formattedObjectTimings[objId] = {
-                loadTime: timing.loadTime ? timing.loadTime.toFixed(2) : 'N/A',
-                startTime: timing.startTime && this.metrics.startTime > 0 ? 
-                    (timing.startTime - this.metrics.startTime).toFixed(2) : 'N/A',
-                appearTime: timing.appearTime && this.metrics.startTime > 0 ? 
-                    (timing.appearTime - this.metrics.startTime).toFixed(2) : 'N/A'
+            objectTimings[objId] = {
+                loadTime: timing.loadTime ? round(timing.loadTime) : null,
+                startTime: sinceStart(timing.startTime),
+                appearTime: sinceStart(timing.appearTime)
             };
         });
-        
-        // FIXED: Match exact field names expected by Google Sheets
-        return {
-            // Basic session info
+
+        // Field types and units are defined in PerformanceReport.FIELDS
+        return PerformanceReport.create('performance', {
             sessionId: this.sessionId,
             timestamp: new Date().toISOString(),
-            elapsedTime: elapsedTime.toFixed(1),
-            
-            // Performance metrics
-            fps: this.metrics.fps,
-            latency: this.metrics.latency.toFixed(1),
-            memory: this.metrics.memory,
-            
-            // System usage
-            cpu: this.metrics.cpuUsage.toFixed(1),
-            gpuUsage: this.metrics.gpuUsage.toFixed(1), // FIXED: Ensure this field is included
-            
-            // GPU info
-            gpu: this.metrics.gpuInfo,
-            gpuInfo: this.metrics.gpuInfo, // FIXED: Add both gpu and gpuInfo for compatibility
-            
-            // Tracking metrics
-            trackingQuality: this.metrics.trackingQuality,
-            trackingConfidence: this.metrics.trackingConfidence.toFixed(2),
-            surfacesDetected: this.metrics.surfacesDetected,
-            
-            // Frame metrics
-            droppedFrames: this.metrics.droppedFrames,
-            totalFrames: this.metrics.totalFrames,
-            
-            // Timing metrics - FIXED: Add these missing fields
-            renderTime: this.metrics.renderTime.toFixed(2),
-            jsExecutionTime: this.metrics.jsExecutionTime.toFixed(2),
-            gcTime: this.metrics.gcTime.toFixed(2),
-            
-            // Object timings
-            objectTimings: JSON.stringify(formattedObjectTimings), // FIXED: Stringify for sheet compatibility
-            
-            // Device info - spread at the end to avoid overriding
-            ...this.options.deviceInfo
-        };
+            session: {
+                elapsed: round(elapsedTime, 1),
+                frameSource: this.metrics.frameSource,
+                targetFrameRate: this.metrics.xrFrameRate,
+                supportedFrameRates: this.metrics.supportedFrameRates
+            },
+            device: {
+                ...this.options.deviceInfo,
+                gpu: this.metrics.gpuInfo
+            },
+            performance: {
+                fps: this.metrics.fps,
+                latency: round(this.metrics.latency, 1),
+                memory: this.metrics.memory,
+                cpuUsage: round(this.metrics.cpuUsage, 1),
+                gpuUsage: this.metrics.gpuUsage === null ? null : round(this.metrics.gpuUsage, 1),
+                renderTime: round(this.metrics.renderTime),
+                jsExecutionTime: round(this.metrics.jsExecutionTime),
+                gcTime: round(this.metrics.gcTime),
+                totalFrames: this.metrics.totalFrames,
+                droppedFrames: this.metrics.droppedFrames
+            },
+            frameTime: {
+                count: frameTimes.count,
+                mean: roundOrNull(frameTimes.mean),
+                p50: roundOrNull(frameTimes.p50),
+                p90: roundOrNull(frameTimes.p90),
+                p95: roundOrNull(frameTimes.p95),
+                p99: roundOrNull(frameTimes.p99),
+                max: roundOrNull(frameTimes.max),
+                jank: frameTimes.jank
+            },
+            scene: {
+                calls: this.metrics.renderer?.calls ?? null,
+                triangles: this.metrics.renderer?.triangles ?? null,
+                points: this.metrics.renderer?.points ?? null,
+                lines: this.metrics.renderer?.lines ?? null,
+                geometries: this.metrics.renderer?.geometries ?? null,
+                textures: this.metrics.renderer?.textures ?? null,
+                programs: this.metrics.renderer?.programs ?? null,
+                objectsPlaced: this.metrics.objectsPlaced,
+                frameTimeCorrelation: roundOrNull(this._getSceneCorrelation()),
+                byObjectCount: this._getObjectCountBreakdown()
+            },
+            gpuTime: {
+                source: this.metrics.gpuTimeSource,
+                count: measuredGPU ? gpuTimes.count : null,
+                mean: measuredGPU ? roundOrNull(gpuTimes.mean) : null,
+                p50: measuredGPU ? roundOrNull(gpuTimes.p50) : null,
+                p90: measuredGPU ? roundOrNull(gpuTimes.p90) : null,
+                p95: measuredGPU ? roundOrNull(gpuTimes.p95) : null,
+                p99: measuredGPU ? roundOrNull(gpuTimes.p99) : null,
+                max: measuredGPU ? roundOrNull(gpuTimes.max) : null
+            },
+            tracking: {
+                quality: this.metrics.trackingQuality,
+                confidence: round(this.metrics.trackingConfidence),
+                planeDetection: this.metrics.planeDetection,
+                surfacesDetected: this.metrics.planeDetection ? this.metrics.surfacesDetected : null,
+                horizontalPlanes: this.metrics.planeDetection ? this.metrics.horizontalPlanes : null,
+                verticalPlanes: this.metrics.planeDetection ? this.metrics.verticalPlanes : null,
+                mappedArea: this.metrics.planeDetection ? round(this.metrics.mappedArea) : null,
+                depthSensing: this.metrics.depthSensing,
+                depthPassTime: this.metrics.depthSensing === 'off' ? null : round(this.metrics.depthPassTime)
+            },
+            objectTimings
+        });
     }
 
     // SpectorJS Methods (improved)
@@ -923,6 +1265,7 @@ class PerformanceTracker {
 
     _analyzeGPUUsage(capture) {
         if (!this.isTracking || !capture || !capture.commands) return;
+        if (this.metrics.gpuTimeSource === 'measured') return;
         
         const drawCalls = capture.commands.filter(cmd => 
             cmd.name.includes('draw') || cmd.name.includes('Draw')).length;
@@ -951,7 +1294,9 @@ class PerformanceTracker {
         )));
         
         // Blend with alternative estimation
-        this.metrics.gpuUsage = Math.round((calculatedUsage + this.metrics.gpuUsage) / 2);
+        this.metrics.gpuUsage = this.metrics.gpuUsage === null ? calculatedUsage :
+            Math.round((calculatedUsage + this.metrics.gpuUsage) / 2);
+        this.metrics.gpuTimeSource = 'estimated';
         
         console.log(`SpectorJS GPU Usage: ${calculatedUsage}% (Draw calls: ${drawCalls}, Textures: ${textureBindings}, Buffers: ${bufferUploads})`);
     }
@@ -962,38 +1307,25 @@ class PerformanceTracker {
         this._initIdleTimeMonitoring();
     }
 
+    // Frame times come from whichever loop drives markFrame/markXRFrame
     _initFrameTimeMonitoring() {
-        let lastCheckTime = performance.now();
-        let frameTimeSum = 0;
-        let frameTimeCount = 0;
-        const frameTimeWindow = 20;
-        
-        const monitorCPU = () => {
-            if (this.isTracking) {
-                const now = performance.now();
-                const frameDuration = now - lastCheckTime;
-                lastCheckTime = now;
-                
-                frameTimeSum += frameDuration;
-                frameTimeCount++;
-                
-                if (frameTimeCount > frameTimeWindow) {
-                    const avgFrameTime = frameTimeSum / frameTimeCount;
-                    const targetFrameTime = 16.67;
-                    const normalizedUsage = Math.min(avgFrameTime / (targetFrameTime * 2), 1);
-                    this.metrics.cpuUsage = Math.round(normalizedUsage * 100);
-                    
-                    frameTimeSum = 0;
-                    frameTimeCount = 0;
-                }
-            } else {
-                lastCheckTime = performance.now();
-                frameTimeSum = 0;
-                frameTimeCount = 0;
-            }
-            requestAnimationFrame(monitorCPU);
-        };
-        requestAnimationFrame(monitorCPU);
+        this.cpuFrameWindow = { sum: 0, count: 0, size: 20 };
+    }
+
+    _updateCPUFromFrameTime(frameDuration) {
+        const cpuWindow = this.cpuFrameWindow;
+        cpuWindow.sum += frameDuration;
+        cpuWindow.count++;
+
+        if (cpuWindow.count > cpuWindow.size) {
+            const avgFrameTime = cpuWindow.sum / cpuWindow.count;
+            const targetFrameTime = this.metrics.xrFrameRate ? 1000 / this.metrics.xrFrameRate : 16.67;
+            const normalizedUsage = Math.min(avgFrameTime / (targetFrameTime * 2), 1);
+            this.metrics.cpuUsage = Math.round(normalizedUsage * 100);
+
+            cpuWindow.sum = 0;
+            cpuWindow.count = 0;
+        }
     }
 
     _initIdleTimeMonitoring() {
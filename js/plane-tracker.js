@@ -0,0 +1,258 @@
+/**
+ * Plane Tracker for WebXR World-Locked AR Experience
+ * Keeps a registry of planes reported by the WebXR plane-detection feature,
+ * classifies them as floor, wall or ceiling and optionally visualizes them
+ */
+class PlaneTracker {
+    constructor(options = {}) {
+        this.options = {
+            scene: null,
+            visualize: false,
+            colors: {
+                floor: 0x44CC88,
+                wall: 0x4FC3F7,
+                ceiling: 0xBA68C8,
+                other: 0xFFFFFF
+            },
+            opacity: 0.25,
+            ...options
+        };
+
+        this.referenceSpace = null;
+        this.enabled = false;
+
+        // Map of XRPlane -> { id, orientation, classification, area, polygon, lastChangedTime, matrix, mesh }
+        this.planes = new Map();
+        this.nextPlaneId = 1;
+
+        this.group = new THREE.Group();
+        this.group.name = 'detected-planes';
+        this.group.visible = this.options.visualize;
+        this.options.scene?.add(this.group);
+    }
+
+    /**
+     * Classify a surface by the vertical component of its normal
+     * @param {number} normalY - Y component of the unit surface normal
+     * @returns {string} - 'floor', 'wall' or 'ceiling'
+     */
+    static classifyNormal(normalY) {
+        if (Math.abs(normalY) < 0.5) return 'wall';
+        return normalY > 0 ? 'floor' : 'ceiling';
+    }
+
+    /**
+     * Start tracking planes for a session
+     * @param {XRReferenceSpace} referenceSpace - World reference space
+     */
+    attach(referenceSpace) {
+        this.clear();
+        this.referenceSpace = referenceSpace;
+        this.enabled = true;
+    }
+
+    /**
+     * Stop tracking and forget all planes
+     */
+    detach() {
+        this.clear();
+        this.referenceSpace = null;
+        this.enabled = false;
+    }
+
+    /**
+     * Sync the registry with the planes detected in this frame
+     * @param {XRFrame} frame - Current XR frame
+     */
+    update(frame) {
+        if (!this.enabled || !frame.detectedPlanes) return;
+
+        const detected = frame.detectedPlanes;
+
+        this.planes.forEach((entry, plane) => {
+            if (!detected.has(plane)) {
+                this._removePlane(plane, entry);
+            }
+        });
+
+        detected.forEach(plane => {
+            let entry = this.planes.get(plane);
+
+            if (!entry) {
+                entry = this._addPlane(plane);
+            } else if (plane.lastChangedTime > entry.lastChangedTime) {
+                this._updatePlaneShape(plane, entry);
+            }
+
+            const pose = frame.getPose(plane.planeSpace, this.referenceSpace);
+            if (pose) {
+                entry.matrix.fromArray(pose.transform.matrix);
+                entry.classification = this._classify(plane, entry.matrix);
+                if (entry.mesh) {
+                    entry.mesh.matrix.copy(entry.matrix);
+                    entry.mesh.material.color.setHex(this._getColor(entry.classification));
+                }
+            }
+        });
+    }
+
+    /**
+     * Registry summary
+     * @returns {Object} - { count, horizontal, vertical, totalArea } (area in m²)
+     */
+    getStats() {
+        const stats = { count: 0, horizontal: 0, vertical: 0, totalArea: 0 };
+
+        this.planes.forEach(entry => {
+            stats.count++;
+            stats[entry.orientation === 'vertical' ? 'vertical' : 'horizontal']++;
+            stats.totalArea += entry.area;
+        });
+
+        return stats;
+    }
+
+    /**
+     * Detected planes
+     * @returns {Array<Object>} - { id, orientation, classification, area, matrix }
+     */
+    getPlanes() {
+        return [...this.planes.values()].map(({ id, orientation, classification, area, matrix }) =>
+            ({ id, orientation, classification, area, matrix }));
+    }
+
+    /**
+     * Show or hide plane meshes
+     * @param {boolean} visible - Whether planes are rendered
+     */
+    setVisible(visible) {
+        this.options.visualize = visible;
+        this.group.visible = visible;
+
+        // Meshes are only built while visualizing
+        if (visible) {
+            this.planes.forEach((entry, plane) => this._updatePlaneShape(plane, entry));
+        }
+    }
+
+    /**
+     * Forget all planes
+     */
+    clear() {
+        this.planes.forEach((entry, plane) => this._removePlane(plane, entry));
+    }
+
+    /**
+     * Remove from scene and release GPU resources
+     */
+    dispose() {
+        this.detach();
+        this.options.scene?.remove(this.group);
+    }
+
+    /**
+     * Register a newly detected plane
+     * @private
+     */
+    _addPlane(plane) {
+        const entry = {
+            id: this.nextPlaneId++,
+            orientation: plane.orientation || 'horizontal',
+            classification: 'other',
+            area: 0,
+            polygon: [],
+            lastChangedTime: -1,
+            matrix: new THREE.Matrix4(),
+            mesh: null
+        };
+
+        this.planes.set(plane, entry);
+        this._updatePlaneShape(plane, entry);
+        return entry;
+    }
+
+    /**
+     * Refresh polygon, area and mesh after the plane changed
+     * @private
+     */
+    _updatePlaneShape(plane, entry) {
+        entry.orientation = plane.orientation || entry.orientation;
+        entry.polygon = (plane.polygon || []).map(point => new THREE.Vector2(point.x, point.z));
+        entry.area = this._polygonArea(entry.polygon);
+        entry.lastChangedTime = plane.lastChangedTime;
+
+        if (!this.options.visualize || entry.polygon.length < 3) return;
+
+        // Polygon lies in the plane's local XZ plane
+        const geometry = new THREE.ShapeGeometry(new THREE.Shape(entry.polygon)).rotateX(Math.PI / 2);
+
+        if (entry.mesh) {
+            entry.mesh.geometry.dispose();
+            entry.mesh.geometry = geometry;
+        } else {
+            entry.mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+                color: this._getColor(entry.classification),
+                transparent: true,
+                opacity: this.options.opacity,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            }));
+            entry.mesh.matrixAutoUpdate = false;
+            entry.mesh.matrix.copy(entry.matrix);
+            this.group.add(entry.mesh);
+        }
+    }
+
+    /**
+     * Unregister a plane that is no longer detected
+     * @private
+     */
+    _removePlane(plane, entry) {
+        if (entry.mesh) {
+            this.group.remove(entry.mesh);
+            entry.mesh.geometry.dispose();
+            entry.mesh.material.dispose();
+        }
+        this.planes.delete(plane);
+    }
+
+    /**
+     * Classify a plane by semantic label or by its normal (the plane's local +Y axis)
+     * @private
+     * @returns {string} - 'floor', 'wall', 'ceiling' or 'other'
+     */
+    _classify(plane, matrix) {
+        const label = plane.semanticLabel;
+        if (label === 'floor' || label === 'wall' || label === 'ceiling') return label;
+        // Tables support objects the same way the floor does
+        if (label === 'table') return 'floor';
+
+        if (plane.orientation === 'vertical') return 'wall';
+        return PlaneTracker.classifyNormal(matrix.elements[5]);
+    }
+
+    /**
+     * Visualization color for a classification
+     * @private
+     */
+    _getColor(classification) {
+        return this.options.colors[classification] ?? this.options.colors.other;
+    }
+
+    /**
+     * Area of a simple polygon (shoelace formula)
+     * @private
+     * @returns {number} - Area in square meters
+     */
+    _polygonArea(points) {
+        let sum = 0;
+        points.forEach((current, index) => {
+            const next = points[(index + 1) % points.length];
+            sum += current.x * next.y - next.x * current.y;
+        });
+        return Math.abs(sum) / 2;
+    }
+}
+
+// Export to global scope
+window.PlaneTracker = PlaneTracker;
@@ -0,0 +1,377 @@
+/**
+ * Report Queue for WebXR World-Locked AR Experience
+ * Persistent outbound queue for performance reports. Reports are kept in
+ * IndexedDB until delivery is confirmed, retried with exponential backoff
+ * and flushed with sendBeacon when the page is hidden or unloaded.
+ */
+class ReportQueue {
+    constructor(options = {}) {
+        this.options = {
+            url: null,
+            dbName: 'wxr-report-queue',
+            storeName: 'reports',
+            // 'cors' sends a preflight-free text/plain request whose status can be read;
+            // 'no-cors' responses are opaque and only prove the request left the device
+            fetchMode: 'cors',
+            // text/plain keeps the request simple, so no preflight is needed
+            contentType: 'text/plain;charset=UTF-8',
+            baseDelay: 2000,
+            maxDelay: 5 * 60 * 1000,
+            maxAttempts: 10,
+            maxEntries: 500,
+            // sendBeacon rejects payloads above roughly 64KB in total
+            maxBeaconBytes: 60 * 1024,
+            onChange: null,
+            ...options
+        };
+
+        // In-memory mirror of stored entries; sendBeacon on pagehide cannot wait for IndexedDB
+        this.entries = new Map();
+        this.db = null;
+        this.storage = 'memory';
+        this.flushing = false;
+        // Key of the entry being fetched, which beacons must not send again
+        this.inFlightKey = null;
+        this.retryTimeout = null;
+        this.lastError = null;
+        this.lastDeliveredAt = null;
+        this.droppedCount = 0;
+
+        this._onOnline = this._onOnline.bind(this);
+        this._onVisibilityChange = this._onVisibilityChange.bind(this);
+        this._onPageHide = this._onPageHide.bind(this);
+
+        this.ready = this._open();
+    }
+
+    /**
+     * Queue a report for delivery. Reports with the same session id and
+     * sequence number replace each other, so retried enqueues are not duplicated.
+     * @param {Object} payload - Report body
+     * @param {Object} identity - { sessionId, sequence }
+     * @returns {Promise} - Resolves once the report is stored
+     */
+    async enqueue(payload, { sessionId, sequence }) {
+        await this.ready;
+
+        const entry = {
+            key: `${sessionId}:${sequence}`,
+            sessionId,
+            sequence,
+            payload,
+            attempts: 0,
+            nextAttempt: Date.now(),
+            createdAt: Date.now()
+        };
+
+        this.entries.set(entry.key, entry);
+        await this._store(entry);
+        await this._enforceLimit();
+        this._notifyChange();
+
+        this.flush();
+    }
+
+    /**
+     * Send every report whose retry time has come
+     * @returns {Promise}
+     */
+    async flush() {
+        await this.ready;
+        if (this.flushing || !this.options.url) return;
+        if (navigator.onLine === false) {
+            this._notifyChange();
+            return;
+        }
+
+        this.flushing = true;
+        try {
+            const due = this._getPending().filter(entry => entry.nextAttempt <= Date.now());
+            for (const entry of due) {
+                await this._send(entry);
+            }
+        } finally {
+            this.flushing = false;
+            this._scheduleRetry();
+            this._notifyChange();
+        }
+    }
+
+    /**
+     * Hand all pending reports to sendBeacon, e.g. when the page goes away
+     * @returns {number} - Number of reports accepted by the browser
+     */
+    flushWithBeacon() {
+        if (!navigator.sendBeacon || !this.options.url) return 0;
+
+        let budget = this.options.maxBeaconBytes;
+        let sent = 0;
+
+        for (const entry of this._getPending()) {
+            if (entry.key === this.inFlightKey) continue;
+
+            const body = JSON.stringify(entry.payload);
+            if (body.length > budget) break;
+
+            // Beacons must use a CORS-safelisted type, whatever contentType is
+            const accepted = navigator.sendBeacon(this.options.url, new Blob([body], { type: 'text/plain;charset=UTF-8' }));
+            if (!accepted) break;
+
+            budget -= body.length;
+            sent++;
+            this._remove(entry);
+        }
+
+        if (sent > 0) {
+            this.lastDeliveredAt = Date.now();
+            this._notifyChange();
+        }
+        return sent;
+    }
+
+    /**
+     * Queue state for display
+     * @returns {Object} - { pending, storage, online, nextRetryIn, lastError, lastDeliveredAt, dropped }
+     */
+    getStatus() {
+        const pending = this._getPending();
+        const nextAttempt = pending.length > 0 ? Math.min(...pending.map(entry => entry.nextAttempt)) : null;
+
+        return {
+            pending: pending.length,
+            storage: this.storage,
+            online: navigator.onLine !== false,
+            nextRetryIn: nextAttempt === null ? null : Math.max(0, nextAttempt - Date.now()),
+            lastError: this.lastError,
+            lastDeliveredAt: this.lastDeliveredAt,
+            dropped: this.droppedCount
+        };
+    }
+
+    /**
+     * Stop retrying and remove listeners; stored reports are kept for the next page load
+     */
+    dispose() {
+        clearTimeout(this.retryTimeout);
+        window.removeEventListener('online', this._onOnline);
+        document.removeEventListener('visibilitychange', this._onVisibilityChange);
+        window.removeEventListener('pagehide', this._onPageHide);
+        this.db?.close();
+        this.db = null;
+    }
+
+    /**
+     * Open the database, load reports left by earlier page loads and start listening
+     * @private
+     */
+    async _open() {
+        window.addEventListener('online', this._onOnline);
+        document.addEventListener('visibilitychange', this._onVisibilityChange);
+        window.addEventListener('pagehide', this._onPageHide);
+
+        try {
+            this.db = await this._openDatabase();
+            this.storage = 'indexeddb';
+
+            const stored = await this._request(this._transaction('readonly').getAll());
+            stored.forEach(entry => this.entries.set(entry.key, entry));
+            if (stored.length > 0) {
+                console.log(`Report queue: ${stored.length} reports pending from earlier sessions`);
+            }
+        } catch (error) {
+            console.warn('Report queue falling back to memory:', error);
+            this.db = null;
+            this.storage = 'memory';
+        }
+
+        this._notifyChange();
+        // Retry leftovers once the constructor has returned
+        setTimeout(() => this.flush(), 0);
+    }
+
+    /**
+     * @private
+     */
+    _openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB unavailable'));
+                return;
+            }
+
+            const request = indexedDB.open(this.options.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.options.storeName, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _transaction(mode) {
+        return this.db.transaction(this.options.storeName, mode).objectStore(this.options.storeName);
+    }
+
+    /**
+     * Wrap an IndexedDB request in a promise
+     * @private
+     */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Persist an entry
+     * @private
+     */
+    async _store(entry) {
+        if (!this.db) return;
+        try {
+            await this._request(this._transaction('readwrite').put(entry));
+        } catch (error) {
+            console.warn('Failed to persist report:', error);
+        }
+    }
+
+    /**
+     * Forget an entry
+     * @private
+     */
+    _remove(entry) {
+        this.entries.delete(entry.key);
+        if (!this.db) return Promise.resolve();
+
+        return this._request(this._transaction('readwrite').delete(entry.key))
+            .catch(error => console.warn('Failed to remove delivered report:', error));
+    }
+
+    /**
+     * Pending entries, oldest first
+     * @private
+     */
+    _getPending() {
+        return [...this.entries.values()].sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Drop the oldest reports beyond the size limit
+     * @private
+     */
+    async _enforceLimit() {
+        const overflow = this._getPending().slice(0, Math.max(0, this.entries.size - this.options.maxEntries));
+        for (const entry of overflow) {
+            this.droppedCount++;
+            await this._remove(entry);
+        }
+    }
+
+    /**
+     * Attempt delivery of one report and back off on failure
+     * @private
+     */
+    async _send(entry) {
+        // Already handed to a beacon or replaced since the flush started
+        if (this.entries.get(entry.key) !== entry) return;
+
+        const opaque = this.options.fetchMode === 'no-cors';
+
+        this.inFlightKey = entry.key;
+        try {
+            const response = await fetch(this.options.url, {
+                method: 'POST',
+                mode: this.options.fetchMode,
+                headers: { 'Content-Type': this.options.contentType },
+                body: JSON.stringify(entry.payload),
+                keepalive: true
+            });
+
+            if (!response.ok && !(opaque && response.type === 'opaque')) {
+                throw new Error(`Server responded with status: ${response.status}`);
+            }
+
+            this.lastDeliveredAt = Date.now();
+            this.lastError = null;
+            await this._remove(entry);
+        } catch (error) {
+            // Gone from the queue while in flight; storing it again would resend it later
+            if (this.entries.get(entry.key) !== entry) return;
+
+            entry.attempts++;
+            this.lastError = error.message || String(error);
+
+            if (entry.attempts >= this.options.maxAttempts) {
+                console.warn(`Dropping report ${entry.key} after ${entry.attempts} attempts:`, error);
+                this.droppedCount++;
+                await this._remove(entry);
+                return;
+            }
+
+            entry.nextAttempt = Date.now() + this._getBackoff(entry.attempts);
+            await this._store(entry);
+        } finally {
+            this.inFlightKey = null;
+        }
+    }
+
+    /**
+     * Exponential backoff with jitter so clients do not retry in lockstep
+     * @private
+     */
+    _getBackoff(attempts) {
+        const delay = Math.min(this.options.maxDelay, this.options.baseDelay * 2 ** (attempts - 1));
+        return delay * (0.5 + Math.random() * 0.5);
+    }
+
+    /**
+     * Wake up when the earliest retry is due
+     * @private
+     */
+    _scheduleRetry() {
+        clearTimeout(this.retryTimeout);
+        this.retryTimeout = null;
+
+        const { nextRetryIn } = this.getStatus();
+        if (nextRetryIn === null) return;
+
+        this.retryTimeout = setTimeout(() => this.flush(), nextRetryIn);
+    }
+
+    /**
+     * @private
+     */
+    _onOnline() {
+        this.flush();
+    }
+
+    /**
+     * @private
+     */
+    _onVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            this.flushWithBeacon();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _onPageHide() {
+        this.flushWithBeacon();
+    }
+
+    /**
+     * @private
+     */
+    _notifyChange() {
+        this.options.onChange?.(this.getStatus());
+    }
+}
+
+// Export to global scope
+window.ReportQueue = ReportQueue;
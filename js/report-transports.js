@@ -0,0 +1,343 @@
+/**
+ * Report Transports for WebXR World-Locked AR Experience
+ * Sinks that performance reports are delivered to. A tracker can use
+ * several at once, e.g. a self-hosted collector plus a local copy.
+ * Transports are created from plain specs such as
+ * { type: 'http', url: '...' } or { type: 'storage', storage: 'indexedDB' };
+ * pages can override the defaults with a window.REPORT_TRANSPORTS array.
+ */
+class ReportTransport {
+    constructor(options = {}) {
+        this.options = {
+            // (status) => void, called when getStatus() changes
+            onStatusChange: null,
+            ...options
+        };
+        this.name = this.options.name || this.constructor.name;
+    }
+
+    /**
+     * Register a transport class under a spec type
+     * @param {string} type - Value of the spec's type field
+     * @param {Function} TransportClass - Subclass of ReportTransport
+     */
+    static register(type, TransportClass) {
+        ReportTransport.types[type] = TransportClass;
+    }
+
+    /**
+     * Create a transport from a spec; transport instances are passed through
+     * @param {Object|string|ReportTransport} spec - Spec, bare type name or instance
+     * @param {Object} defaults - Options applied unless the spec sets them
+     * @returns {ReportTransport}
+     */
+    static create(spec, defaults = {}) {
+        if (spec instanceof ReportTransport) return spec;
+
+        const { type, ...options } = typeof spec === 'string' ? { type: spec } : spec;
+        const TransportClass = ReportTransport.types[type];
+        if (!TransportClass) {
+            throw new Error(`Unknown report transport: ${type}`);
+        }
+        return new TransportClass({ name: type, ...defaults, ...options });
+    }
+
+    /**
+     * Transport specs configured by the page, or the defaults
+     * @returns {Array}
+     */
+    static getPageConfig() {
+        return Array.isArray(window.REPORT_TRANSPORTS) ? window.REPORT_TRANSPORTS : ReportTransport.DEFAULTS;
+    }
+
+    /**
+     * Deliver one report
+     * @param {Object} report - Report data
+     * @param {Object} identity - { sessionId, sequence }
+     * @returns {Promise}
+     */
+    async send(report, identity) {
+        throw new Error(`${this.name} does not implement send()`);
+    }
+
+    /**
+     * Push out anything the transport batches, e.g. when a session ends
+     */
+    flush() {}
+
+    /**
+     * Delivery state for display, or null when the transport does not queue
+     * @returns {Object|null}
+     */
+    getStatus() {
+        return null;
+    }
+
+    /**
+     * Release listeners and storage handles
+     */
+    dispose() {}
+}
+
+/**
+ * POSTs reports to an HTTP endpoint through a persistent retry queue
+ */
+class HttpReportTransport extends ReportTransport {
+    constructor(options = {}) {
+        super({
+            url: null,
+            // 'json' sends the PerformanceReport as is; 'sheets' flattens it for the Google Sheets script
+            format: 'json',
+            queue: true,
+            queueOptions: {},
+            ...options
+        });
+
+        if (!this.options.url) {
+            throw new Error('HTTP report transport needs a url');
+        }
+
+        this.queue = this.options.queue && window.ReportQueue ? new ReportQueue({
+            url: this.options.url,
+            // One store per endpoint so reports queued for different collectors do not collide
+            dbName: `wxr-report-queue:${this.options.url}`,
+            contentType: this._getContentType(),
+            onChange: status => this.options.onStatusChange?.(status),
+            ...this.options.queueOptions
+        }) : null;
+    }
+
+    async send(report, identity) {
+        const payload = this.options.format === 'sheets' ? PerformanceReport.toLegacy(report) : report;
+
+        if (this.queue) {
+            return this.queue.enqueue(payload, identity);
+        }
+
+        const response = await fetch(this.options.url, {
+            method: 'POST',
+            headers: { 'Content-Type': this._getContentType() },
+            body: JSON.stringify(payload)
+        });
+        if (!response.ok) {
+            throw new Error(`Server responded with status: ${response.status}`);
+        }
+    }
+
+    getStatus() {
+        return this.queue ? this.queue.getStatus() : null;
+    }
+
+    dispose() {
+        this.queue?.dispose();
+    }
+
+    /**
+     * application/json needs a CORS preflight, which the Apps Script endpoint does not answer
+     * @private
+     */
+    _getContentType() {
+        return this.options.format === 'json' ? 'application/json' : 'text/plain;charset=UTF-8';
+    }
+}
+
+/**
+ * Logs reports to the developer console
+ */
+class ConsoleReportTransport extends ReportTransport {
+    constructor(options = {}) {
+        super({
+            level: 'log',
+            ...options
+        });
+    }
+
+    async send(report) {
+        console[this.options.level]('Performance report:', report);
+    }
+}
+
+/**
+ * Keeps a local copy of reports in localStorage or IndexedDB
+ */
+class StorageReportTransport extends ReportTransport {
+    constructor(options = {}) {
+        super({
+            // 'localStorage' or 'indexedDB'
+            storage: 'localStorage',
+            key: 'wxr-performance-reports',
+            // Oldest reports are dropped beyond this count
+            maxReports: 200,
+            ...options
+        });
+
+        this.db = null;
+    }
+
+    async send(report, { sessionId, sequence }) {
+        const entry = { key: `${sessionId}:${sequence}`, storedAt: Date.now(), report };
+
+        if (this.options.storage === 'indexedDB') {
+            const db = await this._openDatabase();
+            await this._request(db.transaction('reports', 'readwrite').objectStore('reports').put(entry));
+            await this._trimDatabase(db);
+            return;
+        }
+
+        // Same key replaces the earlier copy of a report
+        const entries = this._readLocalStorage().filter(stored => stored.key !== entry.key);
+        entries.push(entry);
+        localStorage.setItem(this.options.key, JSON.stringify(entries.slice(-this.options.maxReports)));
+    }
+
+    /**
+     * Stored reports, oldest first, upgraded to the current PerformanceReport schema
+     * @returns {Promise<Array>}
+     */
+    async getReports() {
+        let entries;
+        if (this.options.storage === 'indexedDB') {
+            const db = await this._openDatabase();
+            entries = await this._request(db.transaction('reports', 'readonly').objectStore('reports').getAll());
+            entries.sort((a, b) => a.storedAt - b.storedAt);
+        } else {
+            entries = this._readLocalStorage();
+        }
+        return entries.map(entry => PerformanceReport.migrate(entry.report));
+    }
+
+    /**
+     * Delete all stored reports
+     * @returns {Promise}
+     */
+    async clear() {
+        if (this.options.storage === 'indexedDB') {
+            const db = await this._openDatabase();
+            await this._request(db.transaction('reports', 'readwrite').objectStore('reports').clear());
+            return;
+        }
+        localStorage.removeItem(this.options.key);
+    }
+
+    dispose() {
+        this.db?.close();
+        this.db = null;
+    }
+
+    /**
+     * @private
+     */
+    _readLocalStorage() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.options.key));
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            console.warn('Stored performance reports are unreadable; starting over:', error);
+            return [];
+        }
+    }
+
+    /**
+     * @private
+     */
+    _openDatabase() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB unavailable'));
+                return;
+            }
+
+            const request = indexedDB.open(this.options.key, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('reports', { keyPath: 'key' });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Drop the oldest reports beyond the limit
+     * @private
+     */
+    async _trimDatabase(db) {
+        const entries = await this._request(db.transaction('reports', 'readonly').objectStore('reports').getAll());
+        const overflow = entries.length - this.options.maxReports;
+        if (overflow <= 0) return;
+
+        const store = db.transaction('reports', 'readwrite').objectStore('reports');
+        entries.sort((a, b) => a.storedAt - b.storedAt)
+            .slice(0, overflow)
+            .forEach(entry => store.delete(entry.key));
+    }
+
+    /**
+     * @private
+     */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+/**
+ * Collects reports and saves them as a JSON file when flushed
+ */
+class DownloadReportTransport extends ReportTransport {
+    constructor(options = {}) {
+        super({
+            filename: 'performance-reports',
+            ...options
+        });
+
+        this.reports = [];
+    }
+
+    async send(report) {
+        this.reports.push(report);
+    }
+
+    flush() {
+        if (this.reports.length === 0) return;
+
+        const blob = new Blob([JSON.stringify(this.reports, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.options.filename}-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        this.reports = [];
+    }
+}
+
+ReportTransport.types = {};
+ReportTransport.DEFAULTS = [
+    {
+        type: 'http',
+        url: 'https://script.google.com/macros/s/AKfycbzJujiVxqZtuuk7UrJABKsQLLvAiZn5yCgQiHqMAE_GGo8DirByTRbiu8_3phlSf2I/exec',
+        format: 'sheets'
+    }
+];
+
+ReportTransport.register('http', HttpReportTransport);
+ReportTransport.register('console', ConsoleReportTransport);
+ReportTransport.register('storage', StorageReportTransport);
+ReportTransport.register('download', DownloadReportTransport);
+
+// Export to global scope
+window.ReportTransport = ReportTransport;
+window.HttpReportTransport = HttpReportTransport;
+window.ConsoleReportTransport = ConsoleReportTransport;
+window.StorageReportTransport = StorageReportTransport;
+window.DownloadReportTransport = DownloadReportTransport;
@@ -0,0 +1,187 @@
+/**
+ * Scene Serializer for WebXR World-Locked AR Experience
+ * Converts placed objects to a versioned layout format and back,
+ * and keeps an autosaved copy in localStorage
+ */
+class SceneSerializer {
+    constructor(options = {}) {
+        this.options = {
+            storageKey: 'wxr-scene-autosave',
+            excludedUserDataKeys: ['mixer', 'anchorHandle'],
+            ...options
+        };
+    }
+
+    /**
+     * Serialize placed objects relative to the layout origin
+     * @param {Array<THREE.Object3D>} objects - Placed objects
+     * @returns {Object} - Serialized scene
+     */
+    serialize(objects) {
+        const origin = this._computeOrigin(objects);
+
+        return {
+            schema: SceneSerializer.SCHEMA,
+            version: SceneSerializer.VERSION,
+            createdAt: new Date().toISOString(),
+            origin: origin.toArray(),
+            objects: objects.map(object => ({
+                modelId: object.userData.modelId,
+                name: object.userData.type,
+                position: object.position.clone().sub(origin).toArray(),
+                rotation: object.quaternion.toArray(),
+                scale: object.userData.scale || 1,
+                userData: this._serializeUserData(object.userData)
+            }))
+        };
+    }
+
+    /**
+     * Validate and migrate serialized scene data
+     * @param {Object|string} data - Serialized scene or JSON string
+     * @returns {Object} - Scene in the current schema version
+     */
+    parse(data) {
+        const scene = typeof data === 'string' ? JSON.parse(data) : data;
+
+        if (!scene || scene.schema !== SceneSerializer.SCHEMA) {
+            throw new Error('Not a saved AR scene');
+        }
+
+        if (typeof scene.version !== 'number' || scene.version > SceneSerializer.VERSION) {
+            throw new Error(`Unsupported scene version: ${scene.version}`);
+        }
+
+        const migrated = this._migrate(scene);
+
+        if (!Array.isArray(migrated.objects)) {
+            throw new Error('Scene has no objects list');
+        }
+
+        migrated.objects.forEach((entry, index) => {
+            const valid = typeof entry.modelId === 'string' &&
+                this._isNumberArray(entry.position, 3) &&
+                this._isNumberArray(entry.rotation, 4) &&
+                typeof entry.scale === 'number' && entry.scale > 0;
+
+            if (!valid) {
+                throw new Error(`Invalid scene object at index ${index}`);
+            }
+        });
+
+        return migrated;
+    }
+
+    /**
+     * Save scene to localStorage
+     * @param {Object} scene - Serialized scene
+     * @returns {boolean} - Whether saving succeeded
+     */
+    save(scene) {
+        try {
+            if (scene.objects.length === 0) {
+                localStorage.removeItem(this.options.storageKey);
+            } else {
+                localStorage.setItem(this.options.storageKey, JSON.stringify(scene));
+            }
+            return true;
+        } catch (error) {
+            console.warn('Failed to autosave scene:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load autosaved scene from localStorage
+     * @returns {Object|null} - Parsed scene or null
+     */
+    loadSaved() {
+        try {
+            const stored = localStorage.getItem(this.options.storageKey);
+            return stored ? this.parse(stored) : null;
+        } catch (error) {
+            console.warn('Ignoring unreadable autosaved scene:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Remove autosaved scene
+     */
+    clearSaved() {
+        try {
+            localStorage.removeItem(this.options.storageKey);
+        } catch (error) {
+            console.warn('Failed to clear autosaved scene:', error);
+        }
+    }
+
+    /**
+     * Upgrade older scene versions to the current schema
+     * @private
+     * @param {Object} scene - Serialized scene
+     * @returns {Object} - Migrated scene
+     */
+    _migrate(scene) {
+        // Version 1 is the first released format; add steps here as it evolves
+        return { ...scene, version: SceneSerializer.VERSION };
+    }
+
+    /**
+     * Layout origin: horizontal centroid at floor level of the lowest object
+     * @private
+     * @param {Array<THREE.Object3D>} objects - Placed objects
+     * @returns {THREE.Vector3} - Origin
+     */
+    _computeOrigin(objects) {
+        const origin = new THREE.Vector3();
+        if (objects.length === 0) return origin;
+
+        objects.forEach(object => origin.add(object.position));
+        origin.divideScalar(objects.length);
+        origin.y = Math.min(...objects.map(object => object.position.y));
+
+        return origin;
+    }
+
+    /**
+     * Keep only JSON-safe userData entries
+     * @private
+     * @param {Object} userData - Object userData
+     * @returns {Object} - Serializable userData
+     */
+    _serializeUserData(userData) {
+        const result = {};
+
+        Object.entries(userData || {}).forEach(([key, value]) => {
+            if (this.options.excludedUserDataKeys.includes(key)) return;
+
+            try {
+                const json = JSON.stringify(value);
+                if (json !== undefined) {
+                    result[key] = JSON.parse(json);
+                }
+            } catch (error) {
+                // Skip values with circular references
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Check for numeric array of given length
+     * @private
+     */
+    _isNumberArray(value, length) {
+        return Array.isArray(value) && value.length === length &&
+            value.every(item => typeof item === 'number' && isFinite(item));
+    }
+}
+
+// Layout format identifier and current schema version
+SceneSerializer.SCHEMA = 'webxr-ar-scene';
+SceneSerializer.VERSION = 1;
+
+// Export to global scope
+window.SceneSerializer = SceneSerializer;
@@ -0,0 +1,203 @@
+/**
+ * Session Recorder for WebXR World-Locked AR Experience
+ * Records a compact trace of an AR session: viewer poses, hit test
+ * results, input events and the scene mutations they caused, so a bug
+ * report can be replayed later without a device
+ */
+class SessionRecorder {
+    constructor(options = {}) {
+        this.options = {
+            // Poses are sampled at most this often (ms); mutations are checked every frame
+            minFrameInterval: 33,
+            // Decimal places kept for positions and rotations
+            precision: 4,
+            // Frames after this long are dropped and the trace is marked truncated (ms)
+            maxDuration: 10 * 60 * 1000,
+            ...options
+        };
+
+        this.recording = false;
+        this.session = null;
+        this.referenceSpace = null;
+        this.trace = null;
+        this.startTime = null;
+        this.lastTime = 0;
+        this.lastFrameTime = -Infinity;
+        // Map of object id -> serialized transform from the last mutation
+        this.objectStates = new Map();
+
+        this._onInput = this._onInput.bind(this);
+    }
+
+    /**
+     * Start a new trace
+     * @param {Object} metadata - Extra fields stored with the trace
+     */
+    start(metadata = {}) {
+        this.recording = true;
+        this.startTime = null;
+        this.lastTime = 0;
+        this.lastFrameTime = -Infinity;
+        this.objectStates.clear();
+        this.trace = {
+            schema: SessionRecorder.SCHEMA,
+            version: SessionRecorder.VERSION,
+            createdAt: new Date().toISOString(),
+            duration: 0,
+            ...metadata,
+            models: {},
+            frames: [],
+            events: [],
+            mutations: []
+        };
+    }
+
+    /**
+     * Finish the trace
+     * @returns {Object|null} - Recorded trace
+     */
+    stop() {
+        if (!this.recording) return null;
+
+        this.recording = false;
+        this.detach();
+        this.trace.duration = this.lastTime;
+        return this.trace;
+    }
+
+    /**
+     * Whether a trace is being recorded
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.recording;
+    }
+
+    /**
+     * Record input events of a session
+     * @param {XRSession} session - Active AR session
+     * @param {XRReferenceSpace} referenceSpace - World reference space
+     */
+    attach(session, referenceSpace) {
+        this.detach();
+        this.session = session;
+        this.referenceSpace = referenceSpace;
+        SessionRecorder.INPUT_EVENTS.forEach(type => session.addEventListener(type, this._onInput));
+    }
+
+    /**
+     * Stop recording input events
+     */
+    detach() {
+        if (this.session) {
+            SessionRecorder.INPUT_EVENTS.forEach(type => this.session.removeEventListener(type, this._onInput));
+        }
+        this.session = null;
+        this.referenceSpace = null;
+    }
+
+    /**
+     * Record the state of one rendered frame
+     * @param {number} timestamp - Frame timestamp (ms)
+     * @param {Object} state - { viewerPose, hitPose, objects }
+     */
+    recordFrame(timestamp, { viewerPose = null, hitPose = null, objects = [] }) {
+        if (!this.recording) return;
+
+        if (this.startTime === null) {
+            this.startTime = timestamp;
+        }
+
+        const time = Math.round(timestamp - this.startTime);
+        if (time > this.options.maxDuration) {
+            this.trace.truncated = true;
+            return;
+        }
+        this.lastTime = time;
+
+        if (viewerPose && this.lastTime - this.lastFrameTime >= this.options.minFrameInterval) {
+            this.lastFrameTime = this.lastTime;
+            const { position, orientation } = viewerPose.transform;
+            const frame = [
+                this.lastTime,
+                ...this._round([position.x, position.y, position.z, orientation.x, orientation.y, orientation.z, orientation.w])
+            ];
+            if (hitPose) {
+                frame.push(...this._round([...hitPose.position.toArray(), ...hitPose.normal.toArray()]));
+            }
+            this.trace.frames.push(frame);
+        }
+
+        this._recordMutations(objects);
+    }
+
+    /**
+     * Record added, moved and removed objects
+     * @private
+     */
+    _recordMutations(objects) {
+        const seen = new Set();
+
+        objects.forEach(object => {
+            const id = object.userData.id;
+            if (!id) return;
+            seen.add(id);
+
+            const transform = {
+                p: this._round(object.position.toArray()),
+                q: this._round(object.quaternion.toArray()),
+                s: this._round(object.scale.toArray())
+            };
+            const key = JSON.stringify(transform);
+            const previous = this.objectStates.get(id);
+            if (previous === key) return;
+
+            this.objectStates.set(id, key);
+            if (previous === undefined) {
+                const { modelId, type } = object.userData;
+                this.trace.models[modelId] = type;
+                this.trace.mutations.push({ t: this.lastTime, op: 'add', id, modelId, ...transform });
+            } else {
+                this.trace.mutations.push({ t: this.lastTime, op: 'update', id, ...transform });
+            }
+        });
+
+        this.objectStates.forEach((key, id) => {
+            if (seen.has(id)) return;
+            this.objectStates.delete(id);
+            this.trace.mutations.push({ t: this.lastTime, op: 'remove', id });
+        });
+    }
+
+    /**
+     * Record an input event with its target ray
+     * @private
+     */
+    _onInput(event) {
+        if (!this.recording) return;
+
+        const entry = { t: this.lastTime, type: event.type };
+        const pose = event.frame?.getPose(event.inputSource.targetRaySpace, this.referenceSpace);
+        if (pose) {
+            const { position, orientation } = pose.transform;
+            entry.ray = this._round([position.x, position.y, position.z, orientation.x, orientation.y, orientation.z, orientation.w]);
+        }
+        this.trace.events.push(entry);
+    }
+
+    /**
+     * Round values to the configured precision
+     * @private
+     */
+    _round(values) {
+        const factor = 10 ** this.options.precision;
+        return values.map(value => Math.round(value * factor) / factor);
+    }
+}
+
+SessionRecorder.SCHEMA = 'wxr-session-trace';
+SessionRecorder.VERSION = 1;
+SessionRecorder.INPUT_EVENTS = ['selectstart', 'select', 'selectend'];
+
+// Export to global scope
+window.SessionRecorder = SessionRecorder;
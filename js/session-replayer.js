@@ -0,0 +1,378 @@
+/**
+ * Session Replayer for WebXR World-Locked AR Experience
+ * Plays a recorded session trace back in the non-AR renderer. The scene at
+ * any time is rebuilt from the trace alone, so scrubbing is deterministic.
+ */
+class SessionReplayer {
+    constructor(options = {}) {
+        this.options = {
+            scene: null,
+            // (modelId) => Promise<THREE.Object3D|null>; placeholders are shown meanwhile.
+            // Models are detached on clear, never disposed: they may share resources with a cache
+            createObject: null,
+            // (currentTime, duration) => void
+            onTimeUpdate: null,
+            ghostColor: 0x4FC3F7,
+            hitColor: 0x44CC88,
+            inputColor: 0xFFD54F,
+            // Input events stay highlighted this long (ms)
+            inputHighlight: 250,
+            ...options
+        };
+
+        this.trace = null;
+        this.duration = 0;
+        this.currentTime = 0;
+        this.playing = false;
+        this.lastUpdate = null;
+        this.root = new THREE.Group();
+        this.root.name = 'session-replay';
+        // Map of object id -> { container, timeline }
+        this.objects = new Map();
+        this.ghost = this._createGhost();
+        this.hitMarker = this._createHitMarker();
+        this.path = null;
+        this.root.add(this.ghost, this.hitMarker);
+    }
+
+    /**
+     * Validate a recorded trace
+     * @param {Object|string} data - Trace or JSON string
+     * @returns {Object} - Trace
+     */
+    static parse(data) {
+        const trace = typeof data === 'string' ? JSON.parse(data) : data;
+
+        if (!trace || trace.schema !== SessionRecorder.SCHEMA) {
+            throw new Error('Not a recorded AR session');
+        }
+        if (typeof trace.version !== 'number' || trace.version > SessionRecorder.VERSION) {
+            throw new Error(`Unsupported recording version: ${trace.version}`);
+        }
+        if (!Array.isArray(trace.frames) || !Array.isArray(trace.events) || !Array.isArray(trace.mutations)) {
+            throw new Error('Recording is missing frames, events or mutations');
+        }
+
+        return trace;
+    }
+
+    /**
+     * Load a trace into the scene and show its first frame
+     * @param {Object} trace - Parsed trace
+     */
+    load(trace) {
+        this.clear();
+        this.trace = trace;
+        this.duration = trace.duration || trace.frames[trace.frames.length - 1]?.[0] || 0;
+
+        // Put the recorded floor on the viewer floor
+        this.root.position.y = -this._findFloorHeight(trace.frames);
+        this.options.scene?.add(this.root);
+
+        trace.mutations.forEach(mutation => {
+            let entry = this.objects.get(mutation.id);
+            if (!entry) {
+                entry = { container: this._createContainer(mutation), timeline: [] };
+                this.objects.set(mutation.id, entry);
+                this.root.add(entry.container);
+            }
+            entry.timeline.push(mutation);
+        });
+
+        this.path = this._createPath(trace.frames);
+        if (this.path) this.root.add(this.path);
+
+        this.seek(0);
+    }
+
+    /**
+     * Show the recorded session at a point in time
+     * @param {number} time - Time since the start of the recording (ms)
+     */
+    seek(time) {
+        if (!this.trace) return;
+
+        this.currentTime = THREE.MathUtils.clamp(time, 0, this.duration);
+        this._applyObjects(this.currentTime);
+        this._applyFrame(this.currentTime);
+        this._applyInput(this.currentTime);
+        this.options.onTimeUpdate?.(this.currentTime, this.duration);
+    }
+
+    /**
+     * Start playback, from the beginning when at the end
+     */
+    play() {
+        if (!this.trace) return;
+        if (this.currentTime >= this.duration) {
+            this.seek(0);
+        }
+        this.playing = true;
+        this.lastUpdate = null;
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        this.playing = false;
+    }
+
+    /**
+     * Whether playback is running
+     * @returns {boolean}
+     */
+    isPlaying() {
+        return this.playing;
+    }
+
+    /**
+     * Advance playback; call once per rendered frame
+     * @param {number} now - Current time (ms)
+     */
+    update(now = performance.now()) {
+        if (!this.playing) return;
+
+        const elapsed = this.lastUpdate === null ? 0 : now - this.lastUpdate;
+        const time = this.currentTime + elapsed;
+        this.lastUpdate = now;
+
+        // Stop before seeking so time listeners see the final state
+        if (time >= this.duration) {
+            this.pause();
+        }
+        this.seek(time);
+    }
+
+    /**
+     * Remove the replayed scene
+     */
+    clear() {
+        this.pause();
+        this.objects.forEach(({ container }) => {
+            this.root.remove(container);
+            // Only the placeholder is ours; loaded models belong to createObject
+            const { placeholder } = container.userData;
+            if (placeholder) this._disposeObject(placeholder);
+            container.clear();
+        });
+        this.objects.clear();
+
+        if (this.path) {
+            this.root.remove(this.path);
+            this._disposeObject(this.path);
+            this.path = null;
+        }
+
+        this.options.scene?.remove(this.root);
+        this.trace = null;
+        this.duration = 0;
+        this.currentTime = 0;
+    }
+
+    /**
+     * Remove from scene and release resources
+     */
+    dispose() {
+        this.clear();
+        this._disposeObject(this.ghost);
+        this._disposeObject(this.hitMarker);
+    }
+
+    /**
+     * Show each object as of its last mutation before the given time
+     * @private
+     */
+    _applyObjects(time) {
+        this.objects.forEach(({ container, timeline }) => {
+            const mutation = this._findLast(timeline, time, entry => entry.t);
+            container.visible = !!mutation && mutation.op !== 'remove';
+            if (!container.visible) return;
+
+            container.position.fromArray(mutation.p);
+            container.quaternion.fromArray(mutation.q);
+            container.scale.fromArray(mutation.s);
+        });
+    }
+
+    /**
+     * Move the device ghost and hit marker, interpolating between samples
+     * @private
+     */
+    _applyFrame(time) {
+        const frames = this.trace.frames;
+        const index = this._findLastIndex(frames, time, frame => frame[0]);
+        this.ghost.visible = index >= 0;
+        this.hitMarker.visible = false;
+        if (index < 0) return;
+
+        const frame = frames[index];
+        const next = frames[index + 1];
+        const alpha = next ? (time - frame[0]) / (next[0] - frame[0]) : 0;
+
+        this.ghost.position.fromArray(frame, 1);
+        this.ghost.quaternion.fromArray(frame, 4);
+        if (next && alpha > 0) {
+            this.ghost.position.lerp(new THREE.Vector3().fromArray(next, 1), alpha);
+            this.ghost.quaternion.slerp(new THREE.Quaternion().fromArray(next, 4), alpha);
+        }
+
+        // Hit results are shown as sampled; interpolating across surfaces would be misleading
+        if (frame.length >= 14) {
+            const normal = new THREE.Vector3().fromArray(frame, 11);
+            this.hitMarker.position.fromArray(frame, 8);
+            this.hitMarker.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), normal);
+            this.hitMarker.visible = true;
+        }
+    }
+
+    /**
+     * Highlight the hit marker around recent input events
+     * @private
+     */
+    _applyInput(time) {
+        const recent = this.trace.events.some(event =>
+            SessionRecorder.INPUT_EVENTS.includes(event.type) &&
+            event.t <= time && time - event.t < this.options.inputHighlight);
+
+        this.hitMarker.material.color.setHex(recent ? this.options.inputColor : this.options.hitColor);
+    }
+
+    /**
+     * Container for a recorded object holding a placeholder until the model loads
+     * @private
+     */
+    _createContainer(mutation) {
+        const container = new THREE.Group();
+        container.name = `replay-${mutation.id}`;
+        container.visible = false;
+
+        const placeholder = new THREE.Mesh(
+            new THREE.BoxGeometry(0.3, 0.3, 0.3).translate(0, 0.15, 0),
+            new THREE.MeshBasicMaterial({ color: this.options.ghostColor, wireframe: true })
+        );
+        container.add(placeholder);
+        container.userData.placeholder = placeholder;
+
+        const load = this.options.createObject?.(mutation.modelId);
+        Promise.resolve(load).then(model => {
+            // The trace may have been cleared while loading
+            if (!model || !container.parent) return;
+            container.remove(placeholder);
+            this._disposeObject(placeholder);
+            container.userData.placeholder = null;
+            container.add(model);
+        }).catch(error => console.warn(`Replay model '${mutation.modelId}' unavailable:`, error));
+
+        return container;
+    }
+
+    /**
+     * Wireframe pyramid showing the recorded device pose
+     * @private
+     */
+    _createGhost() {
+        const w = 0.04;
+        const h = 0.07;
+        const d = 0.12;
+        const corners = [[-w, -h], [w, -h], [w, h], [-w, h]];
+        const vertices = [];
+
+        corners.forEach(([x, y], index) => {
+            const [nx, ny] = corners[(index + 1) % corners.length];
+            vertices.push(0, 0, 0, x, y, -d);
+            vertices.push(x, y, -d, nx, ny, -d);
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+        const ghost = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: this.options.ghostColor }));
+        ghost.name = 'replay-device';
+        return ghost;
+    }
+
+    /**
+     * Ring lying on the recorded hit surface
+     * @private
+     */
+    _createHitMarker() {
+        const marker = new THREE.Mesh(
+            new THREE.RingGeometry(0.08, 0.1, 32).rotateX(-Math.PI / 2),
+            new THREE.MeshBasicMaterial({ color: this.options.hitColor, side: THREE.DoubleSide })
+        );
+        marker.name = 'replay-hit';
+        marker.visible = false;
+        return marker;
+    }
+
+    /**
+     * Line through all recorded device positions
+     * @private
+     */
+    _createPath(frames) {
+        if (frames.length < 2) return null;
+
+        const points = frames.map(frame => new THREE.Vector3().fromArray(frame, 1));
+        const path = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color: this.options.ghostColor, transparent: true, opacity: 0.35 })
+        );
+        path.name = 'replay-path';
+        return path;
+    }
+
+    /**
+     * Lowest horizontal hit in the trace, taken as the floor
+     * @private
+     */
+    _findFloorHeight(frames) {
+        const heights = frames
+            .filter(frame => frame.length >= 14 && frame[12] > 0.9)
+            .map(frame => frame[9]);
+        return heights.length > 0 ? Math.min(...heights) : 0;
+    }
+
+    /**
+     * Last entry at or before a time in a time-sorted list
+     * @private
+     */
+    _findLast(list, time, getTime) {
+        const index = this._findLastIndex(list, time, getTime);
+        return index >= 0 ? list[index] : null;
+    }
+
+    /**
+     * Binary search for the last entry at or before a time
+     * @private
+     */
+    _findLastIndex(list, time, getTime) {
+        let low = 0;
+        let high = list.length - 1;
+        let found = -1;
+
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (getTime(list[middle]) <= time) {
+                found = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Dispose geometries and materials of an object the replayer created
+     * @private
+     */
+    _disposeObject(object) {
+        object.traverse(child => {
+            child.geometry?.dispose();
+            child.material?.dispose?.();
+        });
+    }
+}
+
+// Export to global scope
+window.SessionReplayer = SessionReplayer;
@@ -0,0 +1,191 @@
+/**
+ * Viewer Controls for WebXR World-Locked AR Experience
+ * Inline 3D viewer used when AR is unavailable: orbit, zoom and pan around
+ * a virtual floor, with taps reported as rays so the usual placement and
+ * selection actions keep working
+ */
+class ViewerControls {
+    constructor(options = {}) {
+        this.options = {
+            camera: null,
+            domElement: null,
+            scene: null,
+            floorSize: 10, // meters
+            cameraPosition: [2.5, 1.8, 3.5],
+            target: [0, 0.4, 0],
+            minDistance: 0.5,
+            maxDistance: 12,
+            // Pointer travel below this counts as a tap rather than an orbit (pixels)
+            tapTolerance: 6,
+            onTap: null,
+            ...options
+        };
+
+        this.enabled = false;
+        this.controls = null;
+        this.pointerStart = null;
+        this.raycaster = new THREE.Raycaster();
+        this.floorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        this.floor = this._createFloor();
+
+        this._onPointerDown = this._onPointerDown.bind(this);
+        this._onPointerUp = this._onPointerUp.bind(this);
+    }
+
+    /**
+     * Show the virtual floor and start listening for orbit and tap input
+     */
+    enable() {
+        if (this.enabled) return;
+        this.enabled = true;
+
+        const { camera, domElement, scene } = this.options;
+        scene?.add(this.floor);
+
+        // The XR session moves the camera, so always start from the default view
+        camera.position.set(...this.options.cameraPosition);
+
+        if (!this.controls && THREE.OrbitControls) {
+            this.controls = new THREE.OrbitControls(camera, domElement);
+            this.controls.enableDamping = true;
+            this.controls.minDistance = this.options.minDistance;
+            this.controls.maxDistance = this.options.maxDistance;
+            // Keep the camera above the floor
+            this.controls.maxPolarAngle = Math.PI / 2 - 0.05;
+        } else if (!this.controls) {
+            console.warn('OrbitControls not loaded; the viewer camera is fixed');
+        }
+
+        if (this.controls) {
+            this.controls.enabled = true;
+            this.controls.target.set(...this.options.target);
+            this.controls.update();
+        } else {
+            camera.lookAt(...this.options.target);
+        }
+
+        domElement.addEventListener('pointerdown', this._onPointerDown);
+        domElement.addEventListener('pointerup', this._onPointerUp);
+    }
+
+    /**
+     * Hide the floor and stop handling input, e.g. while an AR session runs
+     */
+    disable() {
+        if (!this.enabled) return;
+        this.enabled = false;
+
+        this.options.scene?.remove(this.floor);
+        if (this.controls) {
+            this.controls.enabled = false;
+        }
+
+        this.options.domElement.removeEventListener('pointerdown', this._onPointerDown);
+        this.options.domElement.removeEventListener('pointerup', this._onPointerUp);
+        this.pointerStart = null;
+    }
+
+    /**
+     * Advance damped camera motion; call once per frame
+     */
+    update() {
+        if (this.enabled) {
+            this.controls?.update();
+        }
+    }
+
+    /**
+     * Point on the floor the camera orbits around
+     * @returns {THREE.Vector3}
+     */
+    getFocusPoint() {
+        const target = this.controls ?
+            this.controls.target.clone() :
+            new THREE.Vector3(...this.options.target);
+        target.y = 0;
+        return target;
+    }
+
+    /**
+     * Where a ray meets the virtual floor
+     * @param {THREE.Raycaster} raycaster - Configured raycaster
+     * @returns {THREE.Vector3|null} - Floor point, or null when the ray misses the floor
+     */
+    getFloorPoint(raycaster) {
+        const point = raycaster.ray.intersectPlane(this.floorPlane, new THREE.Vector3());
+        if (!point) return null;
+
+        // The floor is a disc of diameter floorSize
+        const radius = this.options.floorSize / 2;
+        return point.x ** 2 + point.z ** 2 <= radius ** 2 ? point : null;
+    }
+
+    /**
+     * Remove listeners and release GPU resources
+     */
+    dispose() {
+        this.disable();
+        this.controls?.dispose();
+        this.controls = null;
+        this.floor.traverse(child => {
+            child.geometry?.dispose();
+            child.material?.dispose();
+        });
+    }
+
+    /**
+     * Remember where a primary pointer went down
+     * @private
+     */
+    _onPointerDown(event) {
+        if (!event.isPrimary) return;
+        this.pointerStart = { x: event.clientX, y: event.clientY };
+    }
+
+    /**
+     * Report a tap as a ray from the camera through the pointer
+     * @private
+     */
+    _onPointerUp(event) {
+        if (!event.isPrimary || !this.pointerStart) return;
+
+        const travel = Math.hypot(event.clientX - this.pointerStart.x, event.clientY - this.pointerStart.y);
+        this.pointerStart = null;
+        if (travel > this.options.tapTolerance) return;
+
+        const rect = this.options.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.options.camera);
+        this.options.onTap?.(this.raycaster, event);
+    }
+
+    /**
+     * Floor disc with a one-meter grid
+     * @private
+     */
+    _createFloor() {
+        const size = this.options.floorSize;
+        const floor = new THREE.Group();
+        floor.name = 'viewer-floor';
+
+        const disc = new THREE.Mesh(
+            new THREE.CircleGeometry(size / 2, 64).rotateX(-Math.PI / 2),
+            new THREE.MeshStandardMaterial({ color: 0x3A3D46, roughness: 1 })
+        );
+        disc.receiveShadow = true;
+        floor.add(disc);
+
+        const grid = new THREE.GridHelper(size, size, 0x6B7080, 0x4A4E5A);
+        // Lift above the disc to avoid z-fighting with it
+        grid.position.y = 0.001;
+        floor.add(grid);
+
+        return floor;
+    }
+}
+
+// Export to global scope
+window.ViewerControls = ViewerControls;